@@ -6,16 +6,23 @@ import elasticsearchPlugin from './plugins/elasticsearch.js';
 import corsPlugin from './plugins/cors.js';
 import rateLimitPlugin from './plugins/rate-limit.js';
 import redisPlugin from './plugins/redis.js';
+import adminAuthPlugin from './plugins/admin-auth.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 import autocompleteRoutes from './routes/autocomplete.js';
 import searchRoutes from './routes/search.js';
 import trendingRoutes from './routes/trending.js';
+import compatibleRoutes from './routes/compatible.js';
 import analyticsRoutes from './routes/analytics.js';
 import adminReindexRoutes from './routes/admin/reindex.js';
 import adminSynonymsRoutes from './routes/admin/synonyms.js';
 import adminMerchandisingRoutes from './routes/admin/merchandising.js';
+import adminFacetsRoutes from './routes/admin/facets.js';
+import adminRankingRoutes from './routes/admin/ranking.js';
+import adminClassifierRoutes from './routes/admin/classifier.js';
+import adminCompatibilityRoutes from './routes/admin/compatibility.js';
 import adminAnalyticsDashboardRoutes from './routes/admin/analytics-dashboard.js';
+import adminCacheRoutes from './routes/admin/cache.js';
 
 export async function buildApp(opts = {}) {
   const app = Fastify({
@@ -34,6 +41,7 @@ export async function buildApp(opts = {}) {
   await app.register(rateLimitPlugin);
   await app.register(elasticsearchPlugin);
   await app.register(redisPlugin);
+  await app.register(adminAuthPlugin);
 
   // Health check
   app.get('/health', async (request, reply) => {
@@ -73,13 +81,19 @@ export async function buildApp(opts = {}) {
   await app.register(autocompleteRoutes, { prefix: '/api' });
   await app.register(searchRoutes, { prefix: '/api' });
   await app.register(trendingRoutes, { prefix: '/api' });
+  await app.register(compatibleRoutes, { prefix: '/api' });
   await app.register(analyticsRoutes, { prefix: '/api' });
 
   // Admin routes
   await app.register(adminReindexRoutes, { prefix: '/api/admin' });
   await app.register(adminSynonymsRoutes, { prefix: '/api/admin' });
   await app.register(adminMerchandisingRoutes, { prefix: '/api/admin' });
+  await app.register(adminFacetsRoutes, { prefix: '/api/admin' });
+  await app.register(adminRankingRoutes, { prefix: '/api/admin' });
+  await app.register(adminClassifierRoutes, { prefix: '/api/admin' });
+  await app.register(adminCompatibilityRoutes, { prefix: '/api/admin' });
   await app.register(adminAnalyticsDashboardRoutes, { prefix: '/api/admin' });
+  await app.register(adminCacheRoutes, { prefix: '/api/admin' });
 
   return app;
 }
@@ -17,6 +17,8 @@ export const config = {
   ANALYTICS_INDEX_PREFIX: process.env.ANALYTICS_INDEX_PREFIX || 'sugester-analytics',
   PORT: parseInt(process.env.PORT, 10) || 3000,
   NODE_ENV: process.env.NODE_ENV || 'development',
+  // Shared secret (X-Admin-Token header) for admin-only request features and state-changing admin routes
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || '',
 };
 
 // Validate required config — ES_CLOUD_ID or ES_URL must be set
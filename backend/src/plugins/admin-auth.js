@@ -0,0 +1,29 @@
+import fp from 'fastify-plugin';
+import { timingSafeEqual } from 'crypto';
+import { config } from '../config/index.js';
+
+/**
+ * Admin request check — compares the X-Admin-Token header with ADMIN_TOKEN.
+ * With no ADMIN_TOKEN configured, nothing is treated as admin, so admin routes
+ * that change state (requireAdmin) answer 403 until a token is set.
+ */
+async function adminAuthPlugin(fastify) {
+  const expected = Buffer.from(config.ADMIN_TOKEN);
+
+  fastify.decorate('isAdminRequest', (request) => {
+    if (expected.length === 0) return false;
+    const provided = Buffer.from(String(request.headers['x-admin-token'] || ''));
+    return provided.length === expected.length && timingSafeEqual(provided, expected);
+  });
+
+  /**
+   * preHandler for admin routes that write files, the index or the cache.
+   */
+  fastify.decorate('requireAdmin', async (request, reply) => {
+    if (!fastify.isAdminRequest(request)) {
+      return reply.code(403).send({ error: 'admin token required' });
+    }
+  });
+}
+
+export default fp(adminAuthPlugin, { name: 'admin-auth' });
@@ -0,0 +1,61 @@
+import { flushCache, invalidateTags, getCacheStats } from '../../services/cache.js';
+
+const TAG_VALUES = {
+  type: 'array',
+  maxItems: 10000,
+  items: { type: 'string', minLength: 1, maxLength: 200 },
+  default: [],
+};
+
+export default async function adminCacheRoutes(fastify) {
+  /**
+   * GET /api/admin/cache/stats
+   * Hit/miss/stale counts and rates per endpoint since this backend process started.
+   */
+  fastify.get('/cache/stats', async (request, reply) => {
+    return {
+      status: 'ok',
+      ...getCacheStats(),
+    };
+  });
+
+  /**
+   * POST /api/admin/cache/invalidate
+   * Drops cached responses that contain any of the given products, brands or
+   * categories. Used by scripts/incremental-update.js after price/stock deltas.
+   */
+  fastify.post('/cache/invalidate', {
+    preHandler: fastify.requireAdmin,
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          products: TAG_VALUES,
+          brands: TAG_VALUES,
+          categories: TAG_VALUES,
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const { products, brands, categories } = request.body;
+    const flushed = await invalidateTags(fastify.redis, { products, brands, categories });
+
+    return {
+      status: 'ok',
+      cacheEntriesFlushed: flushed,
+    };
+  });
+
+  /**
+   * POST /api/admin/cache/flush
+   * Drops the whole search/autocomplete cache (e.g. after a full feed import).
+   */
+  fastify.post('/cache/flush', { preHandler: fastify.requireAdmin }, async (request, reply) => {
+    const flushed = await flushCache(fastify.redis);
+
+    return {
+      status: 'ok',
+      cacheEntriesFlushed: flushed,
+    };
+  });
+}
@@ -0,0 +1,64 @@
+import {
+  describeClassifierConfig,
+  reloadClassifierConfig,
+  syncBrandsFromIndex,
+} from '../../services/classifier-config.js';
+import { flushCache } from '../../services/cache.js';
+import { config } from '../../config/index.js';
+
+export default async function adminClassifierRoutes(fastify) {
+  /**
+   * GET /api/admin/classifier
+   * Returns the version and dictionary sizes of the active classifier config.
+   */
+  fastify.get('/classifier', async (request, reply) => {
+    return {
+      status: 'ok',
+      ...describeClassifierConfig(),
+    };
+  });
+
+  /**
+   * POST /api/admin/classifier/reload
+   * Reloads classifier dictionaries from JSON + flushes cache.
+   * An invalid file is rejected (400) and the current dictionaries stay active.
+   */
+  fastify.post('/classifier/reload', { preHandler: fastify.requireAdmin }, async (request, reply) => {
+    const summary = await reloadClassifierConfig();
+    const flushed = await flushCache(fastify.redis);
+
+    return {
+      status: 'ok',
+      ...summary,
+      cacheEntriesFlushed: flushed,
+    };
+  });
+
+  /**
+   * POST /api/admin/classifier/sync-brands
+   * Syncs the brand list and casing with the live `brand` terms aggregation and
+   * reports new, vanished and ambiguous brands (same job as scripts/sync-brands.js).
+   * Dry run by default — pass { "write": true } to update the file, reload and flush cache.
+   */
+  fastify.post('/classifier/sync-brands', {
+    preHandler: fastify.requireAdmin,
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          write: { type: 'boolean', default: false },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const { write } = request.body || {};
+    const result = await syncBrandsFromIndex(fastify.es, config.INDEX_NAME, { write });
+    const flushed = result.written ? await flushCache(fastify.redis) : 0;
+
+    return {
+      status: 'ok',
+      ...result,
+      cacheEntriesFlushed: flushed,
+    };
+  });
+}
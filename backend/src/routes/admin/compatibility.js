@@ -0,0 +1,55 @@
+import {
+  describeCompatibilityConfig,
+  reloadCompatibilityConfig,
+  getCompatibilityOverrides,
+} from '../../services/compatibility.js';
+import { flushCache } from '../../services/cache.js';
+import { config } from '../../config/index.js';
+
+export default async function adminCompatibilityRoutes(fastify) {
+  /**
+   * GET /api/admin/compatibility
+   * Returns versions and sizes of the active compatibility graph and overrides.
+   */
+  fastify.get('/compatibility', async (request, reply) => {
+    return {
+      status: 'ok',
+      ...describeCompatibilityConfig(),
+      overrides: getCompatibilityOverrides(),
+    };
+  });
+
+  /**
+   * POST /api/admin/compatibility/reload
+   * Reloads graph.json + overrides.json, writes the product overrides to the index
+   * (no re-import needed for a corrected product) and flushes cache.
+   * An invalid file is rejected (400) and the current data stays active.
+   */
+  fastify.post('/compatibility/reload', { preHandler: fastify.requireAdmin }, async (request, reply) => {
+    const summary = await reloadCompatibilityConfig();
+
+    const overrides = Object.entries(getCompatibilityOverrides());
+    const missing = [];
+    if (overrides.length > 0) {
+      const { items } = await fastify.es.bulk({
+        refresh: true,
+        operations: overrides.flatMap(([id, fields]) => [
+          { update: { _index: config.INDEX_NAME, _id: id } },
+          { doc: fields },
+        ]),
+      });
+      for (const item of items) {
+        if (item.update.error) missing.push(item.update._id);
+      }
+    }
+    const flushed = await flushCache(fastify.redis);
+
+    return {
+      status: 'ok',
+      ...summary,
+      overridesApplied: overrides.length - missing.length,
+      overridesMissing: missing,
+      cacheEntriesFlushed: flushed,
+    };
+  });
+}
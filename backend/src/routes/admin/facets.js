@@ -0,0 +1,31 @@
+import { listFacetProfiles, reloadFacetConfig } from '../../services/facet-config.js';
+import { flushCache } from '../../services/cache.js';
+
+export default async function adminFacetsRoutes(fastify) {
+  /**
+   * GET /api/admin/facets
+   * Returns the active facet profiles with their resolved facet definitions.
+   */
+  fastify.get('/facets', async (request, reply) => {
+    return {
+      status: 'ok',
+      ...listFacetProfiles(),
+    };
+  });
+
+  /**
+   * POST /api/admin/facets/reload
+   * Reloads facet configuration from JSON + flushes cache.
+   * An invalid file is rejected (400) and the current configuration stays active.
+   */
+  fastify.post('/facets/reload', { preHandler: fastify.requireAdmin }, async (request, reply) => {
+    const counts = await reloadFacetConfig();
+    const flushed = await flushCache(fastify.redis);
+
+    return {
+      status: 'ok',
+      ...counts,
+      cacheEntriesFlushed: flushed,
+    };
+  });
+}
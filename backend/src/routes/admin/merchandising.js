@@ -1,24 +1,351 @@
-import { reloadRules, getPinnedProducts, getBlacklistedProducts } from '../../services/merchandising.js';
-import { flushCache } from '../../services/cache.js';
+import {
+  reloadRules, describeMerchandisingRules, diffRules, compileRuleQueryMatcher, validateMerchandisingRules,
+} from '../../services/merchandising.js';
+import {
+  readRuleFile, readRuleVersion, readAuditLog, createRule, updateRule, deleteRule, rollbackRules,
+  getRuleProductIds, findMissingProducts,
+  DRAFT_ID, listDrafts, readDraft, createDraft, updateDraft, deleteDraft, publishDraft,
+} from '../../services/merchandising-store.js';
+import { flushCache, flushMatchingQueries } from '../../services/cache.js';
+import { config } from '../../config/index.js';
+
+const RULE_BODY = { type: 'object', required: ['conditions', 'actions'] };
+const RULE_ID_PARAMS = {
+  type: 'object',
+  properties: { id: { type: 'string', minLength: 1, maxLength: 100 } },
+};
+const DRAFT_ID_PARAMS = { type: 'object', properties: { id: DRAFT_ID } };
+const DRAFT_BODY = {
+  type: 'object',
+  properties: {
+    name: { type: ['string', 'null'], maxLength: 200 },
+    rules: { type: 'array', items: { type: 'object' } },
+  },
+};
+
+/**
+ * Who made a change, for the audit log. The admin token is shared, so X-Admin-User
+ * (set by the admin UI / caller) is only what the caller claims to be.
+ */
+function auditMeta(request) {
+  return { claimedActor: request.headers['x-admin-user'] || null, ip: request.ip };
+}
 
 export default async function adminMerchandisingRoutes(fastify) {
+  /**
+   * Reject invalid rules (see validateMerchandisingRules) and rules that pin or
+   * blacklist products missing from the index. Validation goes first — product ids
+   * are read from the actions. Returns true when the reply was sent.
+   */
+  async function rejectInvalidRules(rules, reply) {
+    const errors = validateMerchandisingRules({ rules });
+    if (errors.length > 0) {
+      reply.code(400).send({ error: `Invalid merchandising rules: ${errors.join('; ')}` });
+      return true;
+    }
+    const missing = await findMissingProducts(fastify.es, config.INDEX_NAME, getRuleProductIds(rules));
+    if (missing.length === 0) return false;
+    reply.code(400).send({ error: `unknown product ids: ${missing.join(', ')}`, missingProducts: missing });
+    return true;
+  }
+
+  /**
+   * Drop cached responses of queries the changed rules can match (see commitRules).
+   */
+  function flushChangedRules(changed) {
+    if (changed.length === 0) return 0;
+    return flushMatchingQueries(fastify.redis, compileRuleQueryMatcher(changed));
+  }
+
   /**
    * GET /api/admin/merchandising
-   * Returns current merchandising rules.
+   * Returns version and rule counts of the active rule set.
    */
   fastify.get('/merchandising', async (request, reply) => {
-    const counts = await reloadRules();
     return {
       status: 'ok',
-      ...counts,
+      ...describeMerchandisingRules(),
+    };
+  });
+
+  /**
+   * GET /api/admin/merchandising/rules
+   * Lists all rules as stored (including disabled ones).
+   */
+  fastify.get('/merchandising/rules', async (request, reply) => {
+    const { version, rules } = await readRuleFile();
+    return {
+      status: 'ok',
+      version,
+      rules,
+    };
+  });
+
+  /**
+   * GET /api/admin/merchandising/rules/:id
+   */
+  fastify.get('/merchandising/rules/:id', {
+    schema: { params: RULE_ID_PARAMS },
+  }, async (request, reply) => {
+    const { version, rules } = await readRuleFile();
+    const rule = rules.find((r) => r.id === request.params.id);
+    if (!rule) {
+      return reply.code(404).send({ error: `rule "${request.params.id}" not found` });
+    }
+    return { status: 'ok', version, rule };
+  });
+
+  /**
+   * POST /api/admin/merchandising/rules
+   * Creates a rule (shape: see services/merchandising.js). Pinned and blacklisted
+   * product ids must exist in the index. Publishes a new version and flushes the
+   * cached queries the rule matches.
+   */
+  fastify.post('/merchandising/rules', {
+    preHandler: fastify.requireAdmin,
+    schema: { body: { ...RULE_BODY, required: ['id', ...RULE_BODY.required] } },
+  }, async (request, reply) => {
+    if (await rejectInvalidRules([request.body], reply)) return reply;
+
+    const { version, changed, summary } = await createRule(request.body, auditMeta(request));
+    const flushed = await flushChangedRules(changed);
+
+    return reply.code(201).send({
+      status: 'ok',
+      version,
+      rule: request.body,
+      ...summary,
+      cacheEntriesFlushed: flushed,
+    });
+  });
+
+  /**
+   * PUT /api/admin/merchandising/rules/:id
+   * Replaces a rule (the id in the URL wins over one in the body).
+   */
+  fastify.put('/merchandising/rules/:id', {
+    preHandler: fastify.requireAdmin,
+    schema: { params: RULE_ID_PARAMS, body: RULE_BODY },
+  }, async (request, reply) => {
+    const rule = { ...request.body, id: request.params.id };
+    if (await rejectInvalidRules([rule], reply)) return reply;
+
+    const { version, changed, summary } = await updateRule(request.params.id, rule, auditMeta(request));
+    const flushed = await flushChangedRules(changed);
+
+    return {
+      status: 'ok',
+      version,
+      rule,
+      ...summary,
+      cacheEntriesFlushed: flushed,
+    };
+  });
+
+  /**
+   * DELETE /api/admin/merchandising/rules/:id
+   */
+  fastify.delete('/merchandising/rules/:id', {
+    preHandler: fastify.requireAdmin,
+    schema: { params: RULE_ID_PARAMS },
+  }, async (request, reply) => {
+    const { version, changed, summary } = await deleteRule(request.params.id, auditMeta(request));
+    const flushed = await flushChangedRules(changed);
+
+    return {
+      status: 'ok',
+      version,
+      deleted: request.params.id,
+      ...summary,
+      cacheEntriesFlushed: flushed,
+    };
+  });
+
+  /**
+   * GET /api/admin/merchandising/history?limit=&rule_id=
+   * Audit log, newest first: who changed which rule when, with before/after.
+   */
+  fastify.get('/merchandising/history', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+          rule_id: { type: 'string', minLength: 1, maxLength: 100 },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const { limit, rule_id: ruleId } = request.query;
+    return {
+      status: 'ok',
+      entries: await readAuditLog({ limit, ruleId }),
+    };
+  });
+
+  /**
+   * GET /api/admin/merchandising/versions/:version
+   * The full rule file as it was at a version.
+   */
+  fastify.get('/merchandising/versions/:version', {
+    schema: {
+      params: {
+        type: 'object',
+        properties: { version: { type: 'integer', minimum: 0 } },
+      },
+    },
+  }, async (request, reply) => {
+    return {
+      status: 'ok',
+      ...(await readRuleVersion(request.params.version)),
+    };
+  });
+
+  /**
+   * POST /api/admin/merchandising/rollback
+   * Publishes the rules of an earlier version as a new version and flushes the
+   * cached queries of the rules that differ.
+   * Product ids are not re-checked; ids no longer in the index are reported.
+   */
+  fastify.post('/merchandising/rollback', {
+    preHandler: fastify.requireAdmin,
+    schema: {
+      body: {
+        type: 'object',
+        required: ['version'],
+        properties: {
+          version: { type: 'integer', minimum: 0 },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const { version, entry, changed, summary } = await rollbackRules(request.body.version, auditMeta(request));
+    const { rules } = await readRuleFile();
+    const missing = await findMissingProducts(fastify.es, config.INDEX_NAME, getRuleProductIds(rules));
+    const flushed = await flushChangedRules(changed);
+
+    return {
+      status: 'ok',
+      version,
+      rolledBackFrom: entry.from_version,
+      rolledBackTo: entry.to_version,
+      ...summary,
+      missingProducts: missing,
+      cacheEntriesFlushed: flushed,
+    };
+  });
+
+  // ── Drafts ──
+  // Draft rule sets are previewed with ?preview=<id> on /api/search and /api/autocomplete
+  // (admin token required) and go live only when published.
+
+  /**
+   * GET /api/admin/merchandising/drafts
+   */
+  fastify.get('/merchandising/drafts', async (request, reply) => {
+    return {
+      status: 'ok',
+      drafts: await listDrafts(),
+    };
+  });
+
+  /**
+   * POST /api/admin/merchandising/drafts
+   * Creates a draft from `rules`, or from a copy of the live rules when omitted.
+   */
+  fastify.post('/merchandising/drafts', {
+    preHandler: fastify.requireAdmin,
+    schema: { body: DRAFT_BODY },
+  }, async (request, reply) => {
+    const draft = await createDraft(request.body || {}, auditMeta(request));
+    return reply.code(201).send({ status: 'ok', draft });
+  });
+
+  /**
+   * GET /api/admin/merchandising/drafts/:id
+   * The draft with the rules it adds, removes or edits compared to the live rules.
+   */
+  fastify.get('/merchandising/drafts/:id', {
+    schema: { params: DRAFT_ID_PARAMS },
+  }, async (request, reply) => {
+    const draft = await readDraft(request.params.id);
+    const live = await readRuleFile();
+    return {
+      status: 'ok',
+      draft,
+      liveVersion: live.version,
+      changedRules: [...new Set(diffRules(live.rules, draft.rules).map((rule) => rule.id))],
+    };
+  });
+
+  /**
+   * PUT /api/admin/merchandising/drafts/:id
+   * Replaces the draft's rules and/or name.
+   */
+  fastify.put('/merchandising/drafts/:id', {
+    preHandler: fastify.requireAdmin,
+    schema: { params: DRAFT_ID_PARAMS, body: DRAFT_BODY },
+  }, async (request, reply) => {
+    const draft = await updateDraft(request.params.id, request.body || {}, auditMeta(request));
+    return { status: 'ok', draft };
+  });
+
+  /**
+   * DELETE /api/admin/merchandising/drafts/:id
+   */
+  fastify.delete('/merchandising/drafts/:id', {
+    preHandler: fastify.requireAdmin,
+    schema: { params: DRAFT_ID_PARAMS },
+  }, async (request, reply) => {
+    await deleteDraft(request.params.id);
+    return { status: 'ok', deleted: request.params.id };
+  });
+
+  /**
+   * POST /api/admin/merchandising/drafts/:id/publish
+   * Publishes the draft as the next live version in one atomic write, then flushes only
+   * cached queries matched by the rules it changed. 409 when the live rules changed
+   * since the draft was created — pass { "force": true } to publish anyway.
+   */
+  fastify.post('/merchandising/drafts/:id/publish', {
+    preHandler: fastify.requireAdmin,
+    schema: {
+      params: DRAFT_ID_PARAMS,
+      body: {
+        type: 'object',
+        properties: {
+          force: { type: 'boolean', default: false },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    // Only rules the draft adds or edits are checked — live rules are published as they are
+    const draft = await readDraft(request.params.id);
+    const live = await readRuleFile();
+    const edited = diffRules(live.rules, draft.rules).filter((rule) => draft.rules.includes(rule));
+    if (await rejectInvalidRules(edited, reply)) return reply;
+
+    const { force } = request.body || {};
+    const { version, summary, changed } = await publishDraft(request.params.id, { force }, auditMeta(request));
+    const flushed = await flushChangedRules(changed);
+
+    return {
+      status: 'ok',
+      version,
+      published: request.params.id,
+      changedRules: [...new Set(changed.map((rule) => rule.id))],
+      ...summary,
+      cacheEntriesFlushed: flushed,
     };
   });
 
   /**
    * POST /api/admin/merchandising/reload
-   * Reloads merchandising rules from JSON files + flushes cache.
+   * Reloads merchandising rules from data/merchandising/rules.json + flushes cache
+   * (a hand-edited file can change anything, so the whole cache goes).
+   * An invalid file is rejected (400) and the current rules stay active.
    */
-  fastify.post('/merchandising/reload', async (request, reply) => {
+  fastify.post('/merchandising/reload', { preHandler: fastify.requireAdmin }, async (request, reply) => {
     const counts = await reloadRules();
     const flushed = await flushCache(fastify.redis);
 
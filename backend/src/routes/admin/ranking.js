@@ -0,0 +1,110 @@
+import { classifyIntent } from '../../services/intent-classifier.js';
+import { buildSearchQuery, applyIntentPriceFilters } from '../../services/query-builder.js';
+import { wrapWithFunctionScore, resolveRankingConfig, DEFAULT_RANKING_CONFIG } from '../../services/ranking.js';
+import { formatProducts } from '../../utils/response-formatter.js';
+import { config } from '../../config/index.js';
+
+/**
+ * Annotate one ranked list with the positions of the same products in the other list.
+ * rank_delta > 0 means the product moved up (closer to the top) compared to `other`.
+ */
+function annotateRanks(products, otherRanks, otherKey) {
+  return products.map((product, index) => {
+    const rank = index + 1;
+    const otherRank = otherRanks.get(product.id) ?? null;
+    return {
+      rank,
+      [otherKey]: otherRank,
+      rank_delta: otherRank != null ? otherRank - rank : null,
+      ...product,
+    };
+  });
+}
+
+export default async function adminRankingRoutes(fastify) {
+  /**
+   * GET /api/admin/ranking/config
+   * Returns the default ranking weights (the shape accepted by /ranking/compare).
+   */
+  fastify.get('/ranking/config', async (request, reply) => {
+    return {
+      status: 'ok',
+      config: DEFAULT_RANKING_CONFIG,
+    };
+  });
+
+  /**
+   * POST /api/admin/ranking/compare
+   * Runs one query against two ranking configurations and returns both result lists
+   * with rank deltas. `a` and `b` are partial overrides of the default weights
+   * (omit `a` to compare a candidate config against production ranking).
+   */
+  fastify.post('/ranking/compare', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['q'],
+        properties: {
+          q: { type: 'string', minLength: 1, maxLength: 200 },
+          a: { type: 'object', default: {} },
+          b: { type: 'object', default: {} },
+          size: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          filters: { type: 'object', default: {} },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const { q, a, b, size, filters } = request.body;
+
+    const configA = resolveRankingConfig(a);
+    const configB = resolveRankingConfig(b);
+
+    const intent = classifyIntent(q);
+    const searchFilters = applyIntentPriceFilters(filters, intent);
+
+    // Same base query for both sides — only the function_score weights differ
+    const msearchBody = [];
+    for (const rankingConfig of [configA, configB]) {
+      const body = buildSearchQuery(q, intent, { filters: searchFilters, page: 1, perPage: size, facets: [] });
+      body.query = wrapWithFunctionScore(body.query, intent, rankingConfig);
+      msearchBody.push({ index: config.INDEX_NAME }, body);
+    }
+
+    const { responses } = await fastify.es.msearch({ body: msearchBody });
+    const failed = responses.find((r) => r.error);
+    if (failed) {
+      const err = new Error(`Ranking compare search failed: ${failed.error.reason || failed.error.type}`);
+      err.statusCode = 502;
+      throw err;
+    }
+
+    const toRanked = (response) => formatProducts(response.hits.hits).map((product, index) => ({
+      ...product,
+      score: response.hits.hits[index]._score,
+    }));
+    const productsA = toRanked(responses[0]);
+    const productsB = toRanked(responses[1]);
+
+    const ranksA = new Map(productsA.map((p, i) => [p.id, i + 1]));
+    const ranksB = new Map(productsB.map((p, i) => [p.id, i + 1]));
+    const listA = annotateRanks(productsA, ranksB, 'rank_b');
+    const listB = annotateRanks(productsB, ranksA, 'rank_a');
+
+    return {
+      status: 'ok',
+      query: q,
+      intent,
+      total: responses[0].hits.total?.value ?? 0,
+      summary: {
+        overlap: listB.filter((p) => p.rank_a != null).length,
+        unchanged: listB.filter((p) => p.rank_delta === 0).length,
+        moved_up: listB.filter((p) => p.rank_delta > 0).length,
+        moved_down: listB.filter((p) => p.rank_delta < 0).length,
+        entered: listB.filter((p) => p.rank_a == null).map((p) => p.id),
+        left: listA.filter((p) => p.rank_b == null).map((p) => p.id),
+      },
+      a: listA,
+      b: listB,
+    };
+  });
+}
@@ -2,6 +2,7 @@ import { readFile } from 'fs/promises';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { config } from '../../config/index.js';
+import { flushCache } from '../../services/cache.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -13,8 +14,10 @@ export default async function adminReindexRoutes(fastify) {
    * 2. Bulk import from feed file
    * 3. Swap alias products → new index
    * 4. Delete old index
+   * 5. Flush cache — every document was rewritten
    */
   fastify.post('/reindex', {
+    preHandler: fastify.requireAdmin,
     schema: {
       body: {
         type: 'object',
@@ -97,11 +100,15 @@ export default async function adminReindexRoutes(fastify) {
       }
     }
 
+    // 5. Cached responses point at the old index's documents
+    const flushed = await flushCache(fastify.redis);
+
     return {
       status: 'ok',
       newIndex: newIndexName,
       documentsIndexed: feedData.length,
       errors: bulkResult.errors ? bulkResult.items.filter((i) => i.index?.error).length : 0,
+      cacheEntriesFlushed: flushed,
     };
   });
 }
@@ -6,7 +6,7 @@ export default async function adminSynonymsRoutes(fastify) {
    * Reloads search analyzers to pick up updated synonym files.
    * Synonym files must be updated on the ES node first (via volume mount).
    */
-  fastify.post('/synonyms/reload', async (request, reply) => {
+  fastify.post('/synonyms/reload', { preHandler: fastify.requireAdmin }, async (request, reply) => {
     const result = await fastify.es.indices.reloadSearchAnalyzers({
       index: config.INDEX_NAME,
     });
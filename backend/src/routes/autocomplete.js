@@ -1,9 +1,102 @@
 import { classifyIntent } from '../services/intent-classifier.js';
 import { buildAutocompleteQuery } from '../services/query-builder.js';
 import { wrapWithFunctionScore } from '../services/ranking.js';
-import { applyMerchandising } from '../services/merchandising.js';
-import { getCachedAutocomplete, setCachedAutocomplete } from '../services/cache.js';
-import { formatProducts, formatAutocompleteResponse } from '../utils/response-formatter.js';
+import {
+  resolveMerchandising, applyMerchandisingToQuery, fetchPinnedProducts, insertPinnedProducts, explainMerchandising,
+} from '../services/merchandising.js';
+import { loadDraftRules, DRAFT_ID } from '../services/merchandising-store.js';
+import { explainHits } from '../services/explain.js';
+import { cachedAutocomplete } from '../services/cache.js';
+import { formatProducts, formatAutocompleteResponse, formatPreviewResponse } from '../utils/response-formatter.js';
+import { config } from '../config/index.js';
+
+/**
+ * Autocomplete pipeline for one request. `merchandisingRules` swaps the live rule set
+ * for a compiled draft (preview).
+ */
+async function runAutocomplete(fastify, { q, limit, debug }, merchandisingRules) {
+  // Classify intent
+  const intent = classifyIntent(q);
+  const merchandising = resolveMerchandising(q, intent, { rules: merchandisingRules });
+
+  // Build _msearch body (4 sub-queries in one request)
+  const msearchBody = buildAutocompleteQuery(q, intent, limit);
+
+  // Apply function_score ranking + merchandising boosts/blacklist to the product sub-query (last pair)
+  const productBody = msearchBody[msearchBody.length - 1];
+  const originalMust = productBody.query.bool.must[0];
+  productBody.query.bool.must[0] = applyMerchandisingToQuery(wrapWithFunctionScore(originalMust, intent), merchandising);
+  if (debug) {
+    productBody.explain = true;
+  }
+
+  // Execute _msearch (+ pinned products by id, excluded from the product sub-query)
+  const [msearchResult, pins] = await Promise.all([
+    fastify.es.msearch({ body: msearchBody }),
+    fetchPinnedProducts(fastify.es, config.INDEX_NAME, merchandising),
+  ]);
+
+  const responses = msearchResult.responses;
+
+  // Parse sub-query results
+  // 1. Completion suggestions
+  const suggestResponse = responses[0];
+  const suggestions = [];
+  const completionOptions = suggestResponse.suggest?.product_suggest?.[0]?.options || [];
+  for (const opt of completionOptions) {
+    suggestions.push({
+      text: opt.text,
+      score: opt._score,
+    });
+  }
+
+  // 2. Category aggregation
+  const catResponse = responses[1];
+  const categories = (catResponse.aggregations?.categories?.buckets || []).map((b) => ({
+    name: b.key,
+    count: b.doc_count,
+  }));
+
+  // 3. Brand aggregation
+  const brandResponse = responses[2];
+  const brands = (brandResponse.aggregations?.brands?.buckets || []).map((b) => ({
+    name: b.key,
+    count: b.doc_count,
+  }));
+
+  // 4. Product results
+  const productResponse = responses[3];
+  let products = formatProducts(productResponse.hits?.hits || []);
+
+  // Pinned products take their slots; the list stays at `limit` items
+  products = insertPinnedProducts(products, pins, {
+    size: limit,
+    organicTotal: productResponse.hits?.total?.value ?? products.length,
+  });
+  const merchandisingTrace = debug ? explainMerchandising(products, merchandising, pins) : null;
+
+  const response = formatAutocompleteResponse(q, {
+    suggestions,
+    categories,
+    brands,
+    products,
+  });
+  // Redirect rules: the widget navigates on Enter instead of running a search
+  if (merchandising.redirect) {
+    response.redirect = merchandising.redirect;
+  }
+
+  if (debug) {
+    response.debug = {
+      intent,
+      es_body: msearchBody,
+      merchandising: merchandisingTrace,
+      hits: explainHits(productResponse.hits?.hits),
+    };
+  }
+
+  return response;
+}
 
 export default async function autocompleteRoutes(fastify) {
   fastify.get('/autocomplete', {
@@ -14,79 +107,37 @@ export default async function autocompleteRoutes(fastify) {
         properties: {
           q: { type: 'string', minLength: 1, maxLength: 200 },
           limit: { type: 'integer', minimum: 1, maximum: 20, default: 5 },
+          // Admin-only (X-Admin-Token): intent, final _msearch body, merchandising, per-hit explain
+          debug: { type: 'boolean', default: false },
+          // Admin-only (X-Admin-Token): merchandising draft id — live and draft results side by side
+          preview: DRAFT_ID,
         },
       },
     },
   }, async (request, reply) => {
-    const { q, limit } = request.query;
-
-    // Check Redis cache
-    const cached = await getCachedAutocomplete(fastify.redis, q);
-    if (cached) {
-      return cached;
+    const { q, limit, debug, preview } = request.query;
+    if (debug && !fastify.isAdminRequest(request)) {
+      return reply.code(403).send({ error: 'debug mode requires admin token' });
     }
 
-    // Classify intent
-    const intent = classifyIntent(q);
-
-    // Build _msearch body (4 sub-queries in one request)
-    const msearchBody = buildAutocompleteQuery(q, intent, limit);
-
-    // Apply function_score ranking to the product sub-query (last pair)
-    const productBody = msearchBody[msearchBody.length - 1];
-    const originalMust = productBody.query.bool.must[0];
-    productBody.query.bool.must[0] = wrapWithFunctionScore(originalMust, intent);
-
-    // Execute _msearch
-    const msearchResult = await fastify.es.msearch({
-      body: msearchBody,
-    });
-
-    const responses = msearchResult.responses;
-
-    // Parse sub-query results
-    // 1. Completion suggestions
-    const suggestResponse = responses[0];
-    const suggestions = [];
-    const completionOptions = suggestResponse.suggest?.product_suggest?.[0]?.options || [];
-    for (const opt of completionOptions) {
-      suggestions.push({
-        text: opt.text,
-        score: opt._score,
-      });
+    // Draft preview (admin only): live and draft results side by side, cache untouched
+    if (preview != null) {
+      if (!fastify.isAdminRequest(request)) {
+        return reply.code(403).send({ error: 'preview requires admin token' });
+      }
+      const draftRules = await loadDraftRules(preview);
+      const [live, draft] = await Promise.all([
+        runAutocomplete(fastify, { q, limit, debug }),
+        runAutocomplete(fastify, { q, limit, debug }, draftRules),
+      ]);
+      return formatPreviewResponse(q, preview, live, draft);
     }
 
-    // 2. Category aggregation
-    const catResponse = responses[1];
-    const categories = (catResponse.aggregations?.categories?.buckets || []).map((b) => ({
-      name: b.key,
-      count: b.doc_count,
-    }));
-
-    // 3. Brand aggregation
-    const brandResponse = responses[2];
-    const brands = (brandResponse.aggregations?.brands?.buckets || []).map((b) => ({
-      name: b.key,
-      count: b.doc_count,
-    }));
-
-    // 4. Product results
-    const productResponse = responses[3];
-    let products = formatProducts(productResponse.hits?.hits || []);
-
-    // Apply merchandising (pinned/blacklisted)
-    products = applyMerchandising(products, q);
-
-    const response = formatAutocompleteResponse(q, {
-      suggestions,
-      categories,
-      brands,
-      products,
-    });
-
-    // Cache result
-    await setCachedAutocomplete(fastify.redis, q, response);
-
-    return response;
+    // Debug responses bypass the cache
+    if (debug) {
+      return runAutocomplete(fastify, { q, limit, debug });
+    }
+    // Stale entries are served while one request refreshes them; identical misses share one msearch
+    return cachedAutocomplete(fastify.redis, q, () => runAutocomplete(fastify, { q, limit, debug }));
   });
 }
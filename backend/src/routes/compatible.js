@@ -0,0 +1,93 @@
+import {
+  normalizeModelKey,
+  getModelBatteries,
+  getHostCategories,
+  buildCompatibilityClauses,
+} from '../services/compatibility.js';
+import { formatProducts } from '../utils/response-formatter.js';
+import { config } from '../config/index.js';
+
+export default async function compatibleRoutes(fastify) {
+  /**
+   * GET /api/compatible?product_id=
+   * Accessories compatible with a product (typically a camera body), grouped by category.
+   * Uses the same graph as "eos r6 akumulator" searches: compatible_models edges plus
+   * accessories for the body's batteries.
+   */
+  fastify.get('/compatible', {
+    schema: {
+      querystring: {
+        type: 'object',
+        required: ['product_id'],
+        properties: {
+          product_id: { type: 'string', minLength: 1, maxLength: 100 },
+          per_category: { type: 'integer', minimum: 1, maximum: 20, default: 5 },
+          categories: { type: 'integer', minimum: 1, maximum: 30, default: 10 },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const { product_id: productId, per_category: perCategory, categories } = request.query;
+
+    const lookup = await fastify.es.search({
+      index: config.INDEX_NAME,
+      body: {
+        size: 1,
+        query: { term: { id: productId } },
+        _source: ['id', 'name', 'brand', 'category', 'compatible_batteries'],
+      },
+    });
+    const product = lookup.hits.hits[0]?._source;
+    if (!product) {
+      return reply.code(404).send({ error: `product ${productId} not found` });
+    }
+
+    // A body's batteries come from the graph; an accessory (e.g. a battery) brings its own
+    const model = normalizeModelKey(product.name, product.brand);
+    const batteries = [...new Set([...getModelBatteries(model), ...(product.compatible_batteries || [])])];
+    const clauses = buildCompatibilityClauses(model, batteries);
+
+    const response = {
+      product: { id: product.id, name: product.name, brand: product.brand, category: product.category },
+      model,
+      batteries,
+      total: 0,
+      categories: [],
+    };
+    if (clauses.length === 0) return response;
+
+    const result = await fastify.es.search({
+      index: config.INDEX_NAME,
+      body: {
+        size: 0,
+        track_total_hits: true,
+        query: {
+          bool: {
+            should: clauses,
+            minimum_should_match: 1,
+            must_not: [
+              { term: { id: product.id } },
+              { terms: { category: getHostCategories() } },
+            ],
+          },
+        },
+        aggs: {
+          by_category: {
+            terms: { field: 'category', size: categories },
+            aggs: {
+              top: { top_hits: { size: perCategory } },
+            },
+          },
+        },
+      },
+    });
+
+    response.total = result.hits.total?.value ?? 0;
+    response.categories = (result.aggregations?.by_category?.buckets || []).map((bucket) => ({
+      name: bucket.key,
+      count: bucket.doc_count,
+      products: formatProducts(bucket.top.hits.hits),
+    }));
+    return response;
+  });
+}
@@ -1,12 +1,238 @@
 import { classifyIntent } from '../services/intent-classifier.js';
-import { buildSearchQuery } from '../services/query-builder.js';
+import { normalizeMount } from '../services/classifier-config.js';
+import { buildSearchQuery, buildFacetQuery, applyIntentPriceFilters } from '../services/query-builder.js';
 import { wrapWithFunctionScore } from '../services/ranking.js';
 import { recoverZeroResults } from '../services/zero-results.js';
-import { applyMerchandising } from '../services/merchandising.js';
-import { getCachedSearch, setCachedSearch } from '../services/cache.js';
-import { formatProducts, formatFacets, formatSearchResponse } from '../utils/response-formatter.js';
+import {
+  resolveMerchandising, withoutPins, applyMerchandisingToQuery, fetchPinnedProducts, pinnedPageWindow,
+  insertPinnedProducts, removeBlacklisted, explainMerchandising,
+} from '../services/merchandising.js';
+import { loadDraftRules, DRAFT_ID } from '../services/merchandising-store.js';
+import { explainHits } from '../services/explain.js';
+import { getFacetProfile, getDominantCategory } from '../services/facet-config.js';
+import { cachedSearch } from '../services/cache.js';
+import {
+  formatProducts, formatFacets, formatSearchResponse, formatPreviewResponse,
+} from '../utils/response-formatter.js';
+import { parseFilterValues } from '../utils/normalizers.js';
+import {
+  CURSOR_START, CURSOR_KEEP_ALIVE, cursorFingerprint, encodeCursor, decodeCursor, cursorError,
+} from '../utils/cursor.js';
 import { config } from '../config/index.js';
 
+// Facet filters accept repeated (?brand=Canon&brand=Sony) or comma-separated values
+const MULTI_VALUE_FILTER = { type: 'array', items: { type: 'string' } };
+const MULTI_VALUE_FILTERS = [
+  'brand', 'category', 'availability', 'mount',
+  'param_sensor_size', 'param_aperture', 'param_video_resolution', 'param_video_fps',
+  'param_filter_diameter',
+];
+// Multi-value filters on integer fields — other values would make ES reject the query.
+// Checked after splitting, so the schema can't do it ("?param_video_fps=30,60").
+const INTEGER_FILTERS = new Set(['param_video_fps', 'param_filter_diameter']);
+const INTEGER_VALUE = /^\d+$/;
+
+// Numeric spec filters (params.*) — passed through to buildSearchQuery as-is
+const RANGE_FILTERS = ['param_focal_min', 'param_focal_max', 'param_megapixels_min', 'param_megapixels_max'];
+
+/**
+ * Full search pipeline for one request: intent, query, ranking, merchandising, zero-results
+ * recovery. `merchandisingRules` swaps the live rule set for a compiled draft (preview).
+ */
+async function runSearch(fastify, params, merchandisingRules) {
+  const { q, sort, cursor, filters } = params;
+  if (cursor == null) {
+    return searchPage(fastify, params, merchandisingRules, {});
+  }
+
+  // Resolve cursor: continue after the last hit or open a new point-in-time
+  const fingerprint = cursorFingerprint(q, filters, sort);
+  if (cursor !== CURSOR_START) {
+    const decoded = decodeCursor(cursor, fingerprint);
+    const pit = { id: decoded.pit, keep_alive: CURSOR_KEEP_ALIVE };
+    return searchPage(fastify, params, merchandisingRules, { pit, searchAfter: decoded.searchAfter, fingerprint });
+  }
+
+  const opened = await fastify.es.openPointInTime({
+    index: config.INDEX_NAME,
+    keep_alive: CURSOR_KEEP_ALIVE,
+  });
+  const pit = { id: opened.id, keep_alive: CURSOR_KEEP_ALIVE };
+  try {
+    return await searchPage(fastify, params, merchandisingRules, { pit, fingerprint });
+  } catch (err) {
+    // No cursor reached the client — nobody else can close this PIT
+    fastify.es.closePointInTime({ id: pit.id }).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * One page of results. With a cursor, `pit` is the point-in-time to search and
+ * `searchAfter` the sort values of the previous page's last hit (null on the first page).
+ */
+async function searchPage(
+  fastify,
+  { q, page, per_page, sort, debug, filters },
+  merchandisingRules,
+  { pit = null, searchAfter = null, fingerprint = null },
+) {
+  const useCursor = pit != null;
+
+  // Classify intent
+  const intent = classifyIntent(q);
+
+  // Price phrases in the query ("od 2000 do 5000 zł") become price filters.
+  // Kept separate from `filters`, which stays the cache key of the request as sent.
+  const searchFilters = applyIntentPriceFilters(filters, intent);
+
+  // Merchandising rules matching this query (pins, blacklist, boosts, redirect, banner).
+  // Pins hold fixed slots in the default list only — with filters, another sort or a
+  // cursor they rank organically.
+  const pinnable = !useCursor && sort === 'relevance' && Object.keys(searchFilters).length === 0;
+  const plan = resolveMerchandising(q, intent, { rules: merchandisingRules });
+  const merchandising = pinnable ? plan : withoutPins(plan);
+
+  // Pick facet profile from the detected category (or a single category filter)
+  const facetCategory = intent.category || intent.detectedCategory
+    || (searchFilters.category?.length === 1 ? searchFilters.category[0] : null);
+  let facetProfile = getFacetProfile(facetCategory);
+
+  // Build search query
+  const body = buildSearchQuery(q, intent, {
+    filters: searchFilters,
+    page,
+    perPage: per_page,
+    sort,
+    facets: facetProfile.facets,
+    pit,
+    searchAfter,
+  });
+
+  // Wrap with function_score ranking (pass intent for context-dependent boosts),
+  // then add merchandising boosts/buries and exclusions
+  body.query = applyMerchandisingToQuery(wrapWithFunctionScore(body.query, intent), merchandising);
+  if (debug) {
+    body.explain = true;
+  }
+
+  // Pinned products are fetched by id and excluded from the query; the organic page
+  // shifts around their slots so later pages neither repeat nor skip results
+  const pageFrom = (page - 1) * per_page;
+  const pins = await fetchPinnedProducts(fastify.es, config.INDEX_NAME, merchandising);
+  if (pins.length > 0) {
+    const window = pinnedPageWindow(pins, pageFrom, per_page);
+    body.from = window.from;
+    body.size = window.size;
+  }
+
+  // Execute search (PIT searches must not name an index)
+  let result;
+  try {
+    result = await fastify.es.search(pit ? { body } : { index: config.INDEX_NAME, body });
+  } catch (err) {
+    if (pit && err.meta?.statusCode === 404) {
+      throw cursorError('Cursor expired', 410);
+    }
+    throw err;
+  }
+
+  const total = result.hits.total.value;
+  let products = formatProducts(result.hits.hits);
+  let facets = formatFacets(result.aggregations, searchFilters, facetProfile.facets);
+  let didYouMean = null;
+  let fallbackType = null;
+
+  // No category signal in the query — use the dominant category bucket's profile.
+  // Its facets need their own aggregations, fetched with a size:0 follow-up query.
+  if (!facetCategory && !searchAfter && total > 0) {
+    const dominantProfile = getFacetProfile(getDominantCategory(facets.category, total));
+    if (dominantProfile.name !== facetProfile.name) {
+      facetProfile = dominantProfile;
+      const facetResult = await fastify.es.search({
+        index: config.INDEX_NAME,
+        body: buildFacetQuery(q, intent, { filters: searchFilters, facets: facetProfile.facets }),
+      });
+      facets = formatFacets(facetResult.aggregations, searchFilters, facetProfile.facets);
+    }
+  }
+
+  // Cursor: hand out the next page's cursor, or close the PIT after the last page
+  let nextCursor;
+  if (pit) {
+    const hits = result.hits.hits;
+    const pitId = result.pit_id || pit.id;
+    if (hits.length === per_page) {
+      nextCursor = encodeCursor({ pit: pitId, searchAfter: hits[hits.length - 1].sort, fingerprint });
+    } else {
+      nextCursor = null;
+      fastify.es.closePointInTime({ id: pitId }).catch(() => {});
+    }
+  }
+
+  // Zero-results recovery
+  let recovery = null;
+  if (total === 0 && !searchAfter && pins.length === 0) {
+    recovery = await recoverZeroResults(fastify.es, q, intent, {
+      filters: searchFilters, page, perPage: per_page, sort, facets: facetProfile.facets, exclusions: intent.exclusions,
+    });
+    products = formatProducts(recovery.products);
+    didYouMean = recovery.didYouMean;
+    fallbackType = recovery.fallbackType;
+    if (recovery.aggregations) {
+      facets = formatFacets(recovery.aggregations, searchFilters, facetProfile.facets);
+    }
+  }
+
+  // Apply merchandising
+  products = removeBlacklisted(products, merchandising);
+  products = insertPinnedProducts(products, pins, { from: pageFrom, size: per_page, organicTotal: total });
+  const merchandisingTrace = debug ? explainMerchandising(products, merchandising, pins) : null;
+
+  const response = formatSearchResponse(q, {
+    total: (total + pins.length) || products.length,
+    page,
+    perPage: per_page,
+    products,
+    facets,
+    didYouMean,
+    nextCursor,
+  });
+
+  response.facet_profile = facetProfile.name;
+  // Excluded terms ("-używany", "bez głowicy") — shown as removable chips
+  response.exclusions = intent.exclusions || [];
+
+  if (fallbackType) {
+    response.fallback_type = fallbackType;
+  }
+  if (merchandising.redirect) {
+    response.redirect = merchandising.redirect;
+  }
+  if (merchandising.banner) {
+    response.banner = merchandising.banner;
+  }
+
+  if (debug) {
+    response.debug = {
+      intent,
+      facet_profile: facetProfile.name,
+      es_body: body,
+      merchandising: merchandisingTrace,
+      zero_results: recovery ? {
+        steps: recovery.steps,
+        fallback_type: recovery.fallbackType,
+        did_you_mean: recovery.didYouMean,
+        relaxed_query: recovery.relaxedQuery || null,
+        fallback_category: recovery.fallbackCategory || null,
+      } : null,
+      hits: explainHits(result.hits.hits),
+    };
+  }
+
+  return response;
+}
+
 export default async function searchRoutes(fastify) {
   fastify.get('/search', {
     schema: {
@@ -17,93 +243,79 @@ export default async function searchRoutes(fastify) {
           q: { type: 'string', minLength: 1, maxLength: 200 },
           page: { type: 'integer', minimum: 1, default: 1 },
           per_page: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
-          sort: { type: 'string', enum: ['relevance', 'price_asc', 'price_desc', 'newest', 'popular'], default: 'relevance' },
-          brand: { type: 'string' },
-          category: { type: 'string' },
-          availability: { type: 'string' },
+          // Deep pagination: cursor=* starts, then pass back next_cursor (page is ignored)
+          cursor: { type: 'string', minLength: 1, maxLength: 2000 },
+          // Admin-only (X-Admin-Token): intent, final ES body, merchandising, fallback, per-hit explain
+          debug: { type: 'boolean', default: false },
+          // Admin-only (X-Admin-Token): merchandising draft id — live and draft results side by side
+          preview: DRAFT_ID,
+          sort: { type: 'string', enum: ['relevance', 'price_asc', 'price_desc', 'newest', 'popular', 'trending', 'rating', 'discount'], default: 'relevance' },
+          brand: MULTI_VALUE_FILTER,
+          category: MULTI_VALUE_FILTER,
+          availability: MULTI_VALUE_FILTER,
           price_min: { type: 'number', minimum: 0 },
           price_max: { type: 'number', minimum: 0 },
-          mount: { type: 'string' },
+          mount: MULTI_VALUE_FILTER,
+          param_sensor_size: MULTI_VALUE_FILTER,
+          param_aperture: MULTI_VALUE_FILTER,
+          param_video_resolution: MULTI_VALUE_FILTER,
+          param_video_fps: MULTI_VALUE_FILTER,
+          param_filter_diameter: MULTI_VALUE_FILTER,
+          param_focal_min: { type: 'integer', minimum: 1 },
+          param_focal_max: { type: 'integer', minimum: 1 },
+          param_megapixels_min: { type: 'number', minimum: 0 },
+          param_megapixels_max: { type: 'number', minimum: 0 },
         },
       },
     },
   }, async (request, reply) => {
-    const { q, page, per_page, sort, brand, category, availability, price_min, price_max, mount } = request.query;
+    const { q, page, per_page, sort, price_min, price_max, cursor, debug, preview } = request.query;
+    if (debug && !fastify.isAdminRequest(request)) {
+      return reply.code(403).send({ error: 'debug mode requires admin token' });
+    }
+
     const filters = {};
-    if (brand) filters.brand = brand;
-    if (category) filters.category = category;
-    if (availability) filters.availability = availability;
+    for (const name of MULTI_VALUE_FILTERS) {
+      let values = parseFilterValues(request.query[name]);
+      if (INTEGER_FILTERS.has(name)) values = values.filter((value) => INTEGER_VALUE.test(value));
+      if (values.length > 0) filters[name] = values;
+    }
+    // Mount aliases (?mount=FE, ?mount=e-mount) → canonical compatible_mounts values
+    if (filters.mount) {
+      filters.mount = [...new Set(filters.mount.map((m) => normalizeMount(m) || m))].sort();
+    }
     if (price_min != null) filters.price_min = price_min;
     if (price_max != null) filters.price_max = price_max;
-    if (mount) filters.mount = mount;
-
-    // Check Redis cache
-    const cached = await getCachedSearch(fastify.redis, q, filters, sort, page);
-    if (cached) {
-      return cached;
+    for (const name of RANGE_FILTERS) {
+      if (request.query[name] != null) filters[name] = request.query[name];
     }
 
-    // Classify intent
-    const intent = classifyIntent(q);
+    // Cursor pages are tied to a point-in-time — never served from or written to cache.
+    // Debug responses always run the full pipeline and are never cached either.
+    const useCursor = cursor != null;
+    const useCache = !useCursor && !debug;
+    const params = { q, page, per_page, sort, cursor, debug, filters };
 
-    // If PRICE intent, add price filter
-    if (intent.type === 'PRICE' && intent.maxPrice) {
-      filters.price_max = intent.maxPrice;
-    }
-
-    // Build search query
-    const body = buildSearchQuery(q, intent, {
-      filters,
-      page,
-      perPage: per_page,
-      sort,
-    });
-
-    // Wrap with function_score ranking (pass intent for context-dependent boosts)
-    body.query = wrapWithFunctionScore(body.query, intent);
-
-    // Execute search
-    const result = await fastify.es.search({
-      index: config.INDEX_NAME,
-      body,
-    });
-
-    const total = result.hits.total.value;
-    let products = formatProducts(result.hits.hits);
-    let facets = formatFacets(result.aggregations);
-    let didYouMean = null;
-    let fallbackType = null;
-
-    // Zero-results recovery
-    if (total === 0) {
-      const recovery = await recoverZeroResults(fastify.es, q, intent, { filters, page, perPage: per_page, sort });
-      products = formatProducts(recovery.products);
-      didYouMean = recovery.didYouMean;
-      fallbackType = recovery.fallbackType;
-      if (recovery.aggregations) {
-        facets = formatFacets(recovery.aggregations);
+    // Draft preview (admin only): live and draft results side by side, cache untouched
+    if (preview != null) {
+      if (!fastify.isAdminRequest(request)) {
+        return reply.code(403).send({ error: 'preview requires admin token' });
       }
+      if (useCursor) {
+        return reply.code(400).send({ error: 'preview does not support cursor pagination' });
+      }
+      const draftRules = await loadDraftRules(preview);
+      const [live, draft] = await Promise.all([
+        runSearch(fastify, params),
+        runSearch(fastify, params, draftRules),
+      ]);
+      return formatPreviewResponse(q, preview, live, draft);
     }
 
-    // Apply merchandising
-    products = applyMerchandising(products, q);
-
-    const response = formatSearchResponse(q, {
-      total: total || products.length,
-      page,
-      perPage: per_page,
-      products,
-      facets,
-      didYouMean,
-    });
-
-    if (fallbackType) {
-      response.fallback_type = fallbackType;
+    if (!useCache) {
+      return runSearch(fastify, params);
     }
-
-    // Cache result
-    await setCachedSearch(fastify.redis, q, filters, sort, page, response);
-
-    return response;
+    // Stale entries are served while one request refreshes them; identical misses share one search
+    return cachedSearch(fastify.redis, { query: q, filters, sort, page }, () => runSearch(fastify, params));
   });
 }
@@ -1,14 +1,45 @@
 /**
- * Redis caching layer — cache-aside pattern.
- * Key structure: autocomplete:{query} / search:{query}:{hash}
- * TTL: 60-300s depending on query length.
+ * Redis caching layer — cache-aside with stale-while-revalidate.
+ * Key structure: ac:{query} / sr:{query}:{hash}
+ * TTL: 60-300s depending on query length. Entries are kept STALE_GRACE longer:
+ * an expired ("stale") entry is served right away while one request refreshes it
+ * in the background.
+ *
+ * Misses are single-flight: identical in-flight lookups in this process share one
+ * Elasticsearch call, and a Redis lock (lock:{key}) makes other instances wait for
+ * the entry instead of computing it too. Hit/miss/stale counters per endpoint are
+ * kept in process (getCacheStats).
+ *
+ * Every cached response is tagged with the product ids, brands and categories it
+ * shows: tag:p:{id} / tag:b:{brand} / tag:c:{category} are sets of cache keys, so a
+ * price change or a brand rename drops only the responses that contain it
+ * (invalidateTags). Full flushes iterate with SCAN, never KEYS.
  */
 
-import { createHash } from 'crypto';
+import { createHash, randomUUID } from 'crypto';
 import { normalizeCacheKey } from '../utils/normalizers.js';
 
 const AUTOCOMPLETE_PREFIX = 'ac:';
 const SEARCH_PREFIX = 'sr:';
+const TAG_PREFIX = 'tag:';
+const LOCK_PREFIX = 'lock:';
+
+// Seconds an expired entry may still be served while it is being refreshed
+const STALE_GRACE = 300;
+// Tag sets outlive every entry they point to; a set is refreshed on each write
+const TAG_TTL = 300 + STALE_GRACE;
+const SCAN_COUNT = 500;
+
+// Fill lock: held while one instance computes an entry; expires if that instance dies
+const LOCK_TTL_MS = 5000;
+// How long a request waits for another instance's fill before computing it itself
+const LOCK_WAIT_MS = 1000;
+const LOCK_POLL_MS = 50;
+
+// Release the lock only if we still own it — it may have expired and been re-taken
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end
+return 0`;
 
 // Short queries (1-2 chars) are more cacheable — longer TTL
 function getTTL(query, type = 'autocomplete') {
@@ -22,83 +53,297 @@ function getTTL(query, type = 'autocomplete') {
   return 60;
 }
 
+// Multi-value filters are hashed in sorted order so ?brand=Sony,Canon
+// and ?brand=Canon,Sony share one cache entry.
 function hashFilters(filters) {
-  const sorted = JSON.stringify(filters, Object.keys(filters).sort());
+  const canonical = {};
+  for (const [key, value] of Object.entries(filters)) {
+    canonical[key] = Array.isArray(value) ? [...value].map(String).sort() : value;
+  }
+  const sorted = JSON.stringify(canonical, Object.keys(canonical).sort());
   return createHash('md5').update(sorted).digest('hex').slice(0, 8);
 }
 
+const tagKey = (kind, value) => `${TAG_PREFIX}${kind}:${String(value).toLowerCase()}`;
+
+/**
+ * Tag keys of a search/autocomplete response: its products (ids, brands,
+ * categories), autocomplete brand/category suggestions and brand/category facets.
+ */
+function collectTags(data) {
+  const tags = new Set();
+  for (const product of data.products || []) {
+    if (product.id != null) tags.add(tagKey('p', product.id));
+    if (product.brand) tags.add(tagKey('b', product.brand));
+    if (product.category) tags.add(tagKey('c', product.category));
+  }
+  for (const { name } of [...(data.brands || []), ...(data.facets?.brand || [])]) {
+    if (name) tags.add(tagKey('b', name));
+  }
+  for (const { name } of [...(data.categories || []), ...(data.facets?.category || [])]) {
+    if (name) tags.add(tagKey('c', name));
+  }
+  return [...tags];
+}
+
+/**
+ * Store a response and register its key in its tag sets, in one transaction.
+ * The entry stays fresh for `ttl` seconds and servable as stale for STALE_GRACE more.
+ */
+async function writeTagged(redis, key, data, ttl) {
+  const entry = { fresh_until: Date.now() + ttl * 1000, data };
+  const tx = redis.multi().set(key, JSON.stringify(entry), 'EX', ttl + STALE_GRACE);
+  for (const tag of collectTags(data)) {
+    tx.sadd(tag, key).expire(tag, TAG_TTL);
+  }
+  await tx.exec();
+}
+
 /**
- * Get cached autocomplete result.
+ * Iterate keys with a prefix using SCAN — batches of keys, Redis is never blocked.
  */
-export async function getCachedAutocomplete(redis, query) {
-  if (!redis) return null;
+async function* scanKeys(redis, prefix) {
+  for await (const keys of redis.scanStream({ match: prefix + '*', count: SCAN_COUNT })) {
+    if (keys.length > 0) yield keys;
+  }
+}
+
+// DEL in bounded chunks — a single huge DEL blocks Redis just like KEYS does
+async function deleteKeys(redis, keys) {
+  let deleted = 0;
+  for (let i = 0; i < keys.length; i += SCAN_COUNT) {
+    deleted += await redis.del(...keys.slice(i, i + SCAN_COUNT));
+  }
+  return deleted;
+}
+
+// ── Lookup: stale-while-revalidate + single-flight ──
+
+const inflight = new Map();     // key → Promise of the response being computed
+const refreshing = new Set();   // keys with a background refresh running
+const stats = {};
+const statsSince = new Date().toISOString();
+
+function endpointStats(endpoint) {
+  stats[endpoint] ??= { hit: 0, miss: 0, stale: 0, coalesced: 0 };
+  return stats[endpoint];
+}
+
+const sleep = (ms) => new Promise((resolveP) => setTimeout(resolveP, ms));
+
+async function readEntry(redis, key) {
   try {
-    const key = AUTOCOMPLETE_PREFIX + normalizeCacheKey(query);
     const cached = await redis.get(key);
-    return cached ? JSON.parse(cached) : null;
+    const entry = cached ? JSON.parse(cached) : null;
+    // Entries written before stale-while-revalidate have no fresh_until — treat as a miss
+    return entry?.fresh_until != null ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+// true: acquired, false: held by someone else, null: Redis unavailable (nobody to wait for)
+async function acquireLock(redis, lockKey, token) {
+  try {
+    return (await redis.set(lockKey, token, 'PX', LOCK_TTL_MS, 'NX')) === 'OK';
   } catch {
     return null;
   }
 }
 
+async function releaseLock(redis, lockKey, token) {
+  try {
+    await redis.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, token);
+  } catch {
+    // Expires with LOCK_TTL_MS
+  }
+}
+
 /**
- * Set autocomplete result in cache.
+ * Compute an entry under the Redis fill lock and store it.
+ * When another instance holds the lock, wait up to LOCK_WAIT_MS for its entry
+ * (or, with `wait: false`, give up and return null) — then compute anyway, so a
+ * dead lock holder costs latency, never an error.
  */
-export async function setCachedAutocomplete(redis, query, data) {
-  if (!redis) return;
+async function fill(redis, key, ttl, compute, { wait = true } = {}) {
+  const lockKey = LOCK_PREFIX + key;
+  const token = randomUUID();
+  const locked = await acquireLock(redis, lockKey, token);
+
+  if (locked === false) {
+    if (!wait) return null;
+    const deadline = Date.now() + LOCK_WAIT_MS;
+    while (Date.now() < deadline) {
+      await sleep(LOCK_POLL_MS);
+      const entry = await readEntry(redis, key);
+      if (entry && entry.fresh_until > Date.now()) return entry.data;
+    }
+  }
+
   try {
-    const key = AUTOCOMPLETE_PREFIX + normalizeCacheKey(query);
-    const ttl = getTTL(query, 'autocomplete');
-    await redis.set(key, JSON.stringify(data), 'EX', ttl);
-  } catch {
-    // Cache write failure is non-critical
+    const data = await compute();
+    try {
+      await writeTagged(redis, key, data, ttl);
+    } catch {
+      // Cache write failure is non-critical
+    }
+    return data;
+  } finally {
+    if (locked) await releaseLock(redis, lockKey, token);
+  }
+}
+
+/**
+ * Cached response for `key`, computing it with `compute()` on a miss.
+ * fresh → hit; expired but within STALE_GRACE → stale (served, refreshed in the
+ * background); absent → miss (single-flight fill; `coalesced` counts misses that
+ * joined a fill already running in this process).
+ */
+async function lookup(redis, endpoint, key, ttl, compute) {
+  const counters = endpointStats(endpoint);
+  if (!redis) {
+    counters.miss++;
+    return compute();
   }
+
+  const entry = await readEntry(redis, key);
+  if (entry && entry.fresh_until > Date.now()) {
+    counters.hit++;
+    return entry.data;
+  }
+
+  if (entry) {
+    counters.stale++;
+    if (!refreshing.has(key) && !inflight.has(key)) {
+      refreshing.add(key);
+      fill(redis, key, ttl, compute, { wait: false })
+        .catch(() => {
+          // The stale entry keeps being served; the next request retries
+        })
+        .finally(() => refreshing.delete(key));
+    }
+    return entry.data;
+  }
+
+  counters.miss++;
+  if (inflight.has(key)) {
+    counters.coalesced++;
+    return inflight.get(key);
+  }
+  const pending = fill(redis, key, ttl, compute).finally(() => inflight.delete(key));
+  inflight.set(key, pending);
+  return pending;
 }
 
 /**
- * Get cached search result.
+ * Cached autocomplete response — `compute()` builds it on a miss or stale refresh.
  */
-export async function getCachedSearch(redis, query, filters = {}, sort = 'relevance', page = 1) {
-  if (!redis) return null;
+export function cachedAutocomplete(redis, query, compute) {
+  const key = AUTOCOMPLETE_PREFIX + normalizeCacheKey(query);
+  return lookup(redis, 'autocomplete', key, getTTL(query, 'autocomplete'), compute);
+}
+
+/**
+ * Cached search response — `compute()` builds it on a miss or stale refresh.
+ */
+export function cachedSearch(redis, { query, filters = {}, sort = 'relevance', page = 1 }, compute) {
+  const filterHash = hashFilters({ ...filters, sort, page });
+  const key = SEARCH_PREFIX + normalizeCacheKey(query) + ':' + filterHash;
+  return lookup(redis, 'search', key, getTTL(query, 'search'), compute);
+}
+
+/**
+ * Hit/miss/stale counters per endpoint since this process started (for admin API).
+ * Rates are over lookups (hit + miss + stale).
+ */
+export function getCacheStats() {
+  const endpoints = {};
+  for (const [endpoint, counters] of Object.entries(stats)) {
+    const lookups = counters.hit + counters.miss + counters.stale;
+    const rate = (n) => (lookups > 0 ? Math.round((n / lookups) * 1000) / 1000 : 0);
+    endpoints[endpoint] = {
+      ...counters,
+      lookups,
+      hit_rate: rate(counters.hit),
+      miss_rate: rate(counters.miss),
+      stale_rate: rate(counters.stale),
+    };
+  }
+  return { since: statsSince, endpoints };
+}
+
+/**
+ * Flush all sugester cache keys (responses and tag sets).
+ * Returns the number of cached responses deleted.
+ */
+export async function flushCache(redis) {
+  if (!redis) return 0;
+  let deleted = 0;
   try {
-    const filterHash = hashFilters({ ...filters, sort, page });
-    const key = SEARCH_PREFIX + normalizeCacheKey(query) + ':' + filterHash;
-    const cached = await redis.get(key);
-    return cached ? JSON.parse(cached) : null;
+    for (const prefix of [AUTOCOMPLETE_PREFIX, SEARCH_PREFIX]) {
+      for await (const keys of scanKeys(redis, prefix)) {
+        deleted += await deleteKeys(redis, keys);
+      }
+    }
+    for await (const keys of scanKeys(redis, TAG_PREFIX)) {
+      await deleteKeys(redis, keys);
+    }
   } catch {
-    return null;
+    // Partial flush — entries left behind expire with their TTL
   }
+  return deleted;
 }
 
 /**
- * Set search result in cache.
+ * Delete cached responses that contain any of the given products, brands or
+ * categories (see collectTags). Returns the number of responses deleted.
  */
-export async function setCachedSearch(redis, query, filters, sort, page, data) {
-  if (!redis) return;
+export async function invalidateTags(redis, { products = [], brands = [], categories = [] } = {}) {
+  if (!redis) return 0;
+  const tags = [
+    ...products.map((id) => tagKey('p', id)),
+    ...brands.map((brand) => tagKey('b', brand)),
+    ...categories.map((category) => tagKey('c', category)),
+  ];
+  if (tags.length === 0) return 0;
+  let deleted = 0;
   try {
-    const filterHash = hashFilters({ ...filters, sort, page });
-    const key = SEARCH_PREFIX + normalizeCacheKey(query) + ':' + filterHash;
-    const ttl = getTTL(query, 'search');
-    await redis.set(key, JSON.stringify(data), 'EX', ttl);
+    for (let i = 0; i < tags.length; i += SCAN_COUNT) {
+      const batch = tags.slice(i, i + SCAN_COUNT);
+      const keys = await redis.sunion(...batch);
+      deleted += await deleteKeys(redis, keys);
+      await redis.del(...batch);
+    }
   } catch {
-    // Cache write failure is non-critical
+    // Partial invalidation — entries left behind expire with their TTL
   }
+  return deleted;
 }
 
 /**
- * Flush all sugester cache keys.
+ * Delete cached autocomplete/search responses whose query matches `predicate`
+ * (e.g. queries touched by a merchandising change). Tag sets keep the deleted
+ * keys until they expire; deleting a missing key later is a no-op.
  */
-export async function flushCache(redis) {
+export async function flushMatchingQueries(redis, predicate) {
   if (!redis) return 0;
+  // ac:{query} and sr:{query}:{hash} — the query is the normalized cache key
+  const keyQueries = [
+    [AUTOCOMPLETE_PREFIX, (key) => key.slice(AUTOCOMPLETE_PREFIX.length)],
+    [SEARCH_PREFIX, (key) => key.slice(SEARCH_PREFIX.length, key.lastIndexOf(':'))],
+  ];
+  let deleted = 0;
   try {
-    const acKeys = await redis.keys(AUTOCOMPLETE_PREFIX + '*');
-    const srKeys = await redis.keys(SEARCH_PREFIX + '*');
-    const allKeys = [...acKeys, ...srKeys];
-    if (allKeys.length > 0) {
-      await redis.del(...allKeys);
+    for (const [prefix, toQuery] of keyQueries) {
+      for await (const keys of scanKeys(redis, prefix)) {
+        const matching = keys.filter((key) => predicate(toQuery(key)));
+        if (matching.length > 0) {
+          deleted += await deleteKeys(redis, matching);
+        }
+      }
     }
-    return allKeys.length;
   } catch {
-    return 0;
+    // Partial invalidation — entries left behind expire with their TTL
   }
+  return deleted;
 }
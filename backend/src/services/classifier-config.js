@@ -0,0 +1,366 @@
+/**
+ * Intent classifier dictionaries — brands, categories, mounts, model patterns.
+ * Loads from data/classifier/dictionaries.json and can be reloaded via the admin API,
+ * so a new brand or category word no longer needs a code deploy.
+ *
+ * Dictionary shape:
+ *   brands:               known brand names (lowercase) for MODEL/BRAND/COMPOUND detection
+ *   brand_case:           lowercase → ES keyword casing, for brands that aren't Title Case
+ *   brand_genitive:       Polish genitive form → nominative ("canona" → "canon")
+ *   brand_mounts:         brand → compatible mount systems (compatibility searches)
+ *   mounts:               canonical mount name (as stored in compatible_mounts) → lowercase aliases
+ *   model_to_brand:       [{ pattern, brand }] — regex source (case-insensitive), infers brand from model
+ *   category_names:       full-query category phrase → ES category (CATEGORY intent)
+ *   category_words:       single word → ES category (COMPOUND intent)
+ *   accessory_categories: accessory word → ES category, or null for generic words
+ *   common_words:         Polish words never auto-added as brands by the index sync
+ */
+
+import { readFileSync } from 'fs';
+import { readFile, writeFile, rename } from 'fs/promises';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DICTIONARIES_FILE = resolve(__dirname, '..', '..', '..', 'data', 'classifier', 'dictionaries.json');
+
+// Brand sync ignores keywords shorter than this (stray feed values like "-" or "X")
+const MIN_SYNC_BRAND_LENGTH = 2;
+
+let dictionaries = null;
+let loadedVersion = null;
+let loadedAt = null;
+
+const isPlainObject = (value) => value != null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate raw dictionaries. Returns a list of human-readable errors (empty = valid).
+ */
+export function validateClassifierConfig(config) {
+  const errors = [];
+  if (!isPlainObject(config)) {
+    return ['config must be an object'];
+  }
+
+  if (!Array.isArray(config.brands) || config.brands.length === 0) {
+    errors.push('brands must be a non-empty array');
+  } else {
+    config.brands.forEach((brand, i) => {
+      if (typeof brand !== 'string' || brand !== brand.toLowerCase().trim() || brand === '') {
+        errors.push(`brands[${i}] must be a non-empty lowercase string`);
+      }
+    });
+  }
+
+  const stringMaps = ['brand_case', 'brand_genitive', 'category_names', 'category_words'];
+  for (const key of stringMaps) {
+    if (!isPlainObject(config[key])) {
+      errors.push(`${key} must be an object`);
+      continue;
+    }
+    for (const [word, value] of Object.entries(config[key])) {
+      if (typeof value !== 'string' || value === '') errors.push(`${key}["${word}"] must be a non-empty string`);
+    }
+  }
+
+  if (!isPlainObject(config.accessory_categories)) {
+    errors.push('accessory_categories must be an object');
+  } else {
+    for (const [word, value] of Object.entries(config.accessory_categories)) {
+      if (value !== null && typeof value !== 'string') errors.push(`accessory_categories["${word}"] must be a string or null`);
+    }
+  }
+
+  const aliasOwners = new Map();
+  if (!isPlainObject(config.mounts)) {
+    errors.push('mounts must be an object');
+  } else {
+    for (const [mount, aliases] of Object.entries(config.mounts)) {
+      if (!Array.isArray(aliases) || aliases.some((a) => typeof a !== 'string' || a !== a.toLowerCase().trim() || a === '')) {
+        errors.push(`mounts["${mount}"] must be an array of non-empty lowercase aliases`);
+        continue;
+      }
+      // One alias → one mount, otherwise canonicalization depends on key order
+      for (const alias of [mount.toLowerCase(), ...aliases]) {
+        const owner = aliasOwners.get(alias);
+        if (owner && owner !== mount) errors.push(`mount alias "${alias}" is used by both "${owner}" and "${mount}"`);
+        aliasOwners.set(alias, mount);
+      }
+    }
+  }
+
+  if (!isPlainObject(config.brand_mounts)) {
+    errors.push('brand_mounts must be an object');
+  } else {
+    for (const [brand, mounts] of Object.entries(config.brand_mounts)) {
+      if (!Array.isArray(mounts) || mounts.some((m) => typeof m !== 'string')) {
+        errors.push(`brand_mounts["${brand}"] must be an array of strings`);
+      } else if (isPlainObject(config.mounts)) {
+        for (const mount of mounts) {
+          if (!Object.hasOwn(config.mounts, mount)) errors.push(`brand_mounts["${brand}"]: "${mount}" is not a canonical mount`);
+        }
+      }
+    }
+  }
+
+  if (!Array.isArray(config.common_words) || config.common_words.some((w) => typeof w !== 'string')) {
+    errors.push('common_words must be an array of strings');
+  }
+
+  if (!Array.isArray(config.model_to_brand)) {
+    errors.push('model_to_brand must be an array');
+  } else {
+    config.model_to_brand.forEach((entry, i) => {
+      if (typeof entry?.brand !== 'string') errors.push(`model_to_brand[${i}].brand must be a string`);
+      try {
+        new RegExp(entry?.pattern, 'i');
+        if (typeof entry?.pattern !== 'string') throw new Error('not a string');
+      } catch (err) {
+        errors.push(`model_to_brand[${i}].pattern is not a valid regex: ${err.message}`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Shortest alias usable in free text — single letters ("e", "x", "z") only match exact values
+const MIN_TEXT_MOUNT_ALIAS = 2;
+
+/**
+ * Compile mount aliases: exact lookup map + a free-text pattern (longest alias first,
+ * so "rf-s" wins over "rf"; not followed by a letter, digit, "/" or "-", so "fuji x-t5"
+ * and "f/2.8" are not mounts).
+ */
+function compileMounts(mounts) {
+  const aliases = new Map();
+  for (const [mount, list] of Object.entries(mounts)) {
+    for (const alias of [mount.toLowerCase(), ...list]) aliases.set(alias, mount);
+  }
+  const textAliases = [...aliases.keys()]
+    .filter((alias) => alias.length >= MIN_TEXT_MOUNT_ALIAS)
+    .sort((a, b) => b.length - a.length)
+    .map((alias) => escapeRegExp(alias).replace(/ /g, '\\s+'));
+  return {
+    mountAliases: aliases,
+    mountPattern: new RegExp(`(?<![\\p{L}\\d])(${textAliases.join('|')})(?![\\p{L}\\d/-])`, 'giu'),
+  };
+}
+
+/**
+ * Compile raw dictionaries into the lookup structures the classifier uses.
+ */
+function compile(config) {
+  return {
+    ...compileMounts(config.mounts),
+    brands: [...config.brands],
+    brandPattern: new RegExp(`\\b(${config.brands.map(escapeRegExp).join('|')})\\b`, 'i'),
+    brandCase: new Map(Object.entries(config.brand_case)),
+    brandGenitive: new Map(Object.entries(config.brand_genitive)),
+    brandMounts: { ...config.brand_mounts },
+    modelToBrand: config.model_to_brand.map(({ pattern, brand }) => ({ pattern: new RegExp(pattern, 'i'), brand })),
+    categoryNames: new Map(Object.entries(config.category_names)),
+    categoryWords: new Map(Object.entries(config.category_words)),
+    accessoryCategories: new Map(Object.entries(config.accessory_categories)),
+  };
+}
+
+function applyConfig(config) {
+  dictionaries = compile(config);
+  loadedVersion = config.version ?? null;
+  loadedAt = new Date().toISOString();
+}
+
+function parseAndValidate(raw) {
+  const config = JSON.parse(raw);
+  const errors = validateClassifierConfig(config);
+  if (errors.length > 0) {
+    const err = new Error(`Invalid classifier dictionaries: ${errors.join('; ')}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return config;
+}
+
+// Loaded synchronously on import: classifyIntent() is called synchronously right after
+// import (CLI scripts, first request) and has no sensible built-in fallback.
+// A missing or invalid file fails startup.
+applyConfig(parseAndValidate(readFileSync(DICTIONARIES_FILE, 'utf-8')));
+
+/**
+ * Active compiled dictionaries. Read at call time — a reload swaps the whole object.
+ */
+export function getClassifierDictionaries() {
+  return dictionaries;
+}
+
+/**
+ * Normalize brand string to match ES keyword casing.
+ * "sony" → "Sony", "dji" → "DJI", "peak design" → "Peak Design"
+ */
+export function normalizeBrandCase(brand) {
+  const lower = brand.toLowerCase();
+  const cased = dictionaries.brandCase.get(lower);
+  if (cased) return cased;
+  // Default: capitalize first letter of each word
+  return lower.replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+/**
+ * Canonical mount name for a feed value, URL filter or alias ("FE", "e-mount" → "Sony E").
+ * Returns null for unknown values.
+ */
+export function normalizeMount(value) {
+  const key = String(value ?? '').toLowerCase().trim().replace(/\s+/g, ' ');
+  return dictionaries.mountAliases.get(key) || null;
+}
+
+/**
+ * All canonical mounts mentioned in free text, in order of appearance, de-duplicated.
+ * "Adapter Canon EF - Sony E" → ["Canon EF", "Sony E"]
+ */
+export function extractMounts(text) {
+  const found = [];
+  for (const [alias] of String(text || '').matchAll(dictionaries.mountPattern)) {
+    const mount = normalizeMount(alias);
+    if (!found.includes(mount)) found.push(mount);
+  }
+  return found;
+}
+
+/**
+ * Summary of the active dictionaries (for admin API).
+ */
+export function describeClassifierConfig() {
+  return {
+    version: loadedVersion,
+    loadedAt,
+    counts: {
+      brands: dictionaries.brands.length,
+      brandCase: dictionaries.brandCase.size,
+      brandGenitive: dictionaries.brandGenitive.size,
+      brandMounts: Object.keys(dictionaries.brandMounts).length,
+      mounts: new Set(dictionaries.mountAliases.values()).size,
+      mountAliases: dictionaries.mountAliases.size,
+      modelToBrand: dictionaries.modelToBrand.length,
+      categoryNames: dictionaries.categoryNames.size,
+      categoryWords: dictionaries.categoryWords.size,
+      accessoryCategories: dictionaries.accessoryCategories.size,
+    },
+  };
+}
+
+/**
+ * Reload dictionaries from disk (for admin API).
+ * Throws on a missing/invalid file — the previously loaded dictionaries stay active.
+ */
+export async function reloadClassifierConfig() {
+  applyConfig(parseAndValidate(await readFile(DICTIONARIES_FILE, 'utf-8')));
+  return describeClassifierConfig();
+}
+
+/**
+ * Fetch every brand keyword from the live index (terms aggregation on `brand`).
+ * Returns [{ name, count }] in ES keyword casing.
+ */
+export async function fetchIndexBrands(es, index, size = 2000) {
+  const result = await es.search({
+    index,
+    body: {
+      size: 0,
+      aggs: { brands: { terms: { field: 'brand', size } } },
+    },
+  });
+  return (result.aggregations?.brands?.buckets || []).map((b) => ({ name: b.key, count: b.doc_count }));
+}
+
+/**
+ * Sync the brand dictionary with the `brand` keyword values stored in the index.
+ *
+ * - new:       indexed brands missing from `brands` — added
+ * - vanished:  known brands with no products in the index — reported only (aliases
+ *              like "fuji"/"lumix" and curated brands are never removed automatically)
+ * - ambiguous: brands that are common Polish words or category words, or that appear
+ *              in the index with several casings — reported, never added automatically
+ * - casing:    `brand_case` is rebuilt from the stored keyword values, so
+ *              normalizeBrandCase() returns exactly what ES term filters expect
+ *
+ * With write=false this is a dry run; with write=true the file is updated and reloaded.
+ */
+export async function syncBrandsFromIndex(es, index, { write = false } = {}) {
+  const indexBrands = await fetchIndexBrands(es, index);
+  const config = JSON.parse(await readFile(DICTIONARIES_FILE, 'utf-8'));
+  const known = new Set(config.brands);
+  const commonWords = new Set(config.common_words);
+  const categoryWords = new Set([...Object.keys(config.category_words), ...Object.keys(config.category_names)]);
+  const titleCase = (lower) => lower.replace(/\b\w/g, (c) => c.toUpperCase());
+
+  // Group index values by lowercase — "SIGMA" and "Sigma" are the same brand
+  const byLower = new Map();
+  for (const { name, count } of indexBrands) {
+    const lower = name.toLowerCase().trim();
+    if (!byLower.has(lower)) byLower.set(lower, []);
+    byLower.get(lower).push({ name, count });
+  }
+
+  const added = [];
+  const ambiguous = [];
+  const caseChanges = [];
+
+  for (const [lower, variants] of byLower) {
+    // Most frequent casing wins (buckets are already sorted by doc_count)
+    const { name, count } = variants[0];
+
+    let reason = null;
+    if (lower.length < MIN_SYNC_BRAND_LENGTH) reason = 'too short';
+    else if (commonWords.has(lower)) reason = 'common Polish word';
+    else if (categoryWords.has(lower)) reason = 'category word';
+    else if (variants.length > 1) reason = `multiple casings: ${variants.map((v) => v.name).join(', ')}`;
+
+    // Ambiguous brands keep their current dictionary entry and casing until reviewed
+    if (reason) {
+      ambiguous.push({ name, count, reason, known: known.has(lower) });
+      continue;
+    }
+    if (!known.has(lower)) {
+      config.brands.push(lower);
+      known.add(lower);
+      added.push({ name, count });
+    }
+
+    // Casing comes from the stored value; Title Case brands need no entry
+    const current = config.brand_case[lower] ?? titleCase(lower);
+    if (current !== name) {
+      caseChanges.push({ brand: lower, from: current, to: name });
+      if (name === titleCase(lower)) delete config.brand_case[lower];
+      else config.brand_case[lower] = name;
+    }
+  }
+
+  const vanished = config.brands.filter((brand) => !byLower.has(brand));
+
+  const changed = added.length > 0 || caseChanges.length > 0;
+  if (write && changed) {
+    config.version = (config.version || 0) + 1;
+    // Temp file + rename: the backend reads and validates this file at startup, so a
+    // crash or a concurrent sync must never leave it half-written
+    const tmpPath = `${DICTIONARIES_FILE}.${process.pid}.${Date.now()}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(config, null, 2) + '\n', 'utf-8');
+    await rename(tmpPath, DICTIONARIES_FILE);
+    await reloadClassifierConfig();
+  }
+
+  return {
+    written: write && changed,
+    version: config.version,
+    indexBrands: byLower.size,
+    new: added,
+    vanished,
+    ambiguous,
+    caseChanges,
+  };
+}
@@ -0,0 +1,325 @@
+/**
+ * Compatibility graph — which accessories fit which camera bodies.
+ *
+ * Edges come from three places:
+ *   - product text at import: "pasuje do Canon EOS R5 i R6", "kompatybilny z Sony A7 IV",
+ *     "SmallRig klatka do Sony A7 IV" → compatible_models
+ *   - battery codes in product text (LP-E6NH, NP-FZ100) → compatible_batteries, expanded to
+ *     camera models through data/compatibility/graph.json (battery → bodies that use it)
+ *   - data/compatibility/overrides.json — per-product corrections, replace extracted values
+ *
+ * Models are stored as normalized keys ("canon eos r6 mark ii", "sony alpha 7 iv"), so a
+ * query for "a7 iv akumulator" and the feed text "do Sony α7 IV" meet on the same keyword.
+ */
+
+import { readFileSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { getClassifierDictionaries } from './classifier-config.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = resolve(__dirname, '..', '..', '..', 'data', 'compatibility');
+const GRAPH_FILE = resolve(DATA_DIR, 'graph.json');
+const OVERRIDES_FILE = resolve(DATA_DIR, 'overrides.json');
+
+// ── Model keys ─────────────────────────────────────────────────
+
+// Brand aliases collapse to one key prefix: "fuji x-t5" and "Fujifilm X-T5" are the same body
+const BRAND_ALIASES = {
+  fuji: 'fujifilm',
+  lumix: 'panasonic lumix',
+  olympus: 'om system',
+};
+
+const MARK_NUMERALS = { 2: 'ii', 3: 'iii', 4: 'iv', 5: 'v' };
+
+// Words that belong to a model name even without a digit ("EOS", "Mark", "Black")
+const SERIES_WORDS = new Set([
+  'eos', 'alpha', 'lumix', 'mark', 'powershot', 'hero', 'black', 'osmo', 'action', 'pocket',
+  'mini', 'pro', 'gfx',
+]);
+const ROMAN_PATTERN = /^(?:ii|iii|iv|v|vi|iix)$/;
+// Bodies named without a digit
+const DIGITLESS_MODELS = new Set(['zf', 'zfc', 'rp']);
+
+function isModelToken(token) {
+  return /\d/.test(token) || ROMAN_PATTERN.test(token) || SERIES_WORDS.has(token) || DIGITLESS_MODELS.has(token);
+}
+
+/**
+ * Normalize a camera model mention into a graph key: canonical brand + model tokens.
+ * Reads tokens after the brand until the first non-model word ("do", "z", "korpus").
+ * Returns null when there is no brand or no model identifier.
+ *
+ *   normalizeModelKey('Canon EOS R6 Mark II body') → 'canon eos r6 mark ii'
+ *   normalizeModelKey('a7iv', 'sony')              → 'sony alpha 7 iv'
+ *   normalizeModelKey('aparatów Canon')            → null
+ */
+export function normalizeModelKey(text, brand = null) {
+  const t = String(text || '')
+    .toLowerCase()
+    .replace(/α\s*/g, 'alpha ')
+    .replace(/\bmk\.?\s*(?=[ivx\d])/g, 'mark ')
+    .replace(/\bmark\s*([2-5])\b/g, (m, digit) => `mark ${MARK_NUMERALS[digit]}`)
+    .replace(/\ba(\d)/g, 'alpha $1')
+    .replace(/\b(\d+[rsc]?)(iv|iii|ii|v)\b/g, '$1 $2')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const match = getClassifierDictionaries().brandPattern.exec(t);
+  const detected = match ? match[1].toLowerCase() : brand?.toLowerCase();
+  if (!detected) return null;
+  const canonicalBrand = BRAND_ALIASES[detected] || detected;
+
+  const rest = match ? t.slice(match.index + match[0].length) : t;
+  const tokens = [];
+  for (const token of rest.split(' ').filter(Boolean)) {
+    if (!isModelToken(token)) break;
+    // "Panasonic Lumix S5": "lumix" is already part of the canonical brand prefix
+    if (tokens.length === 0 && canonicalBrand.endsWith(` ${token}`)) continue;
+    tokens.push(token);
+  }
+  if (!tokens.some((token) => /\d/.test(token) || DIGITLESS_MODELS.has(token))) return null;
+
+  return `${canonicalBrand} ${tokens.join(' ')}`;
+}
+
+// ── Battery codes ──────────────────────────────────────────────
+
+// Canon LP-E*, Sony NP-F*/NP-BX1, Fujifilm NP-W*, Nikon EN-EL*, Canon NB-*L, Panasonic DMW-BL*, OM BLS/BLX/BLH
+const BATTERY_PATTERN = /\b(?:LP-?E\d{1,2}[A-Z]{0,2}|NP-?F[WZ]?\d{2,3}|NP-?BX1|NP-?W\d{3}|EN-?EL\d{1,2}[A-Z]?|NB-?\d{1,2}L[A-Z]{0,2}|DMW-?BL[A-Z]\d{2}[A-Z]?|BL[SXH]-?\d{1,2})\b/gi;
+
+/**
+ * Canonical battery code: uppercase with the maker prefix hyphenated ("lpe6nh" → "LP-E6NH").
+ */
+export function normalizeBatteryCode(code) {
+  return String(code)
+    .toUpperCase()
+    .replace(/^(LP|NP|EN|NB|DMW|BLS|BLX|BLH)-?/, '$1-');
+}
+
+/**
+ * All battery codes mentioned in a text, canonical and de-duplicated.
+ */
+export function extractBatteryCodes(text) {
+  const codes = (String(text || '').match(BATTERY_PATTERN) || []).map(normalizeBatteryCode);
+  return [...new Set(codes)];
+}
+
+// ── Relations ──────────────────────────────────────────────────
+
+// "pasuje do …", "kompatybilny z …", "do aparatów …" — the list runs to the end of the sentence
+const RELATION_PATTERN = /(?:pasuje\s+do|kompatybiln\p{L}*\s+z|współprac\p{L}*\s+z|dedykowan\p{L}*\s+(?:do|dla)|przeznaczon\p{L}*\s+(?:do|dla)|\bdo|\bdla)\s+([^.;:()\n]+)/giu;
+const LIST_SEPARATOR = /\s*(?:,|\/|\s(?:i|oraz|lub|and|or)\s)\s*/;
+
+/**
+ * Camera models named in compatibility phrases. List items without a brand inherit
+ * the series of the previous item: "Canon EOS R5 i R6" → canon eos r5, canon eos r6.
+ */
+export function extractCompatibleModels(text) {
+  const models = new Set();
+  for (const [, list] of String(text || '').matchAll(RELATION_PATTERN)) {
+    let previous = null;
+    for (const item of list.split(LIST_SEPARATOR)) {
+      let key = normalizeModelKey(item);
+      if (!key && previous && isModelToken(item.trim().split(/\s+/)[0]?.toLowerCase() || '')) {
+        const series = previous.split(' ').slice(0, -1).join(' ');
+        key = normalizeModelKey(`${series} ${item}`);
+      }
+      if (key) {
+        models.add(key);
+        previous = key;
+      }
+    }
+  }
+  return [...models];
+}
+
+// ── Graph + overrides ──────────────────────────────────────────
+
+let graph = null;
+let overrides = {};
+let loadedVersions = null;
+let loadedAt = null;
+
+const isPlainObject = (value) => value != null && typeof value === 'object' && !Array.isArray(value);
+const isStringArray = (value) => Array.isArray(value) && value.every((v) => typeof v === 'string');
+
+/**
+ * Validate graph + overrides files. Returns a list of human-readable errors (empty = valid).
+ */
+export function validateCompatibilityConfig(graphConfig, overridesConfig) {
+  const errors = [];
+  if (!isPlainObject(graphConfig)) return ['graph must be an object'];
+  if (!isStringArray(graphConfig.host_categories)) errors.push('host_categories must be an array of strings');
+  if (!isPlainObject(graphConfig.batteries)) {
+    errors.push('batteries must be an object');
+  } else {
+    for (const [code, models] of Object.entries(graphConfig.batteries)) {
+      if (!isStringArray(models)) errors.push(`batteries["${code}"] must be an array of model names`);
+      else models.forEach((model, i) => {
+        if (!normalizeModelKey(model)) errors.push(`batteries["${code}"][${i}] "${model}" is not a recognizable camera model`);
+      });
+    }
+  }
+
+  if (!isPlainObject(overridesConfig) || !isPlainObject(overridesConfig.products)) {
+    errors.push('overrides.products must be an object');
+  } else {
+    for (const [id, entry] of Object.entries(overridesConfig.products)) {
+      if (!isPlainObject(entry)) {
+        errors.push(`overrides.products["${id}"] must be an object`);
+        continue;
+      }
+      for (const field of ['compatible_models', 'compatible_batteries']) {
+        if (entry[field] !== undefined && !isStringArray(entry[field])) {
+          errors.push(`overrides.products["${id}"].${field} must be an array of strings`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Compile files into lookup structures — model names and codes are normalized here,
+ * so the files can use the spelling from the manufacturer's spec sheet.
+ */
+function compile(graphConfig, overridesConfig) {
+  const batteries = new Map();
+  for (const [code, models] of Object.entries(graphConfig.batteries)) {
+    batteries.set(normalizeBatteryCode(code), [...new Set(models.map((model) => normalizeModelKey(model)))]);
+  }
+
+  const products = {};
+  for (const [id, entry] of Object.entries(overridesConfig.products)) {
+    products[id] = {
+      ...(entry.compatible_models ? {
+        compatible_models: [...new Set(entry.compatible_models.map((m) => normalizeModelKey(m) || m.toLowerCase()))],
+      } : {}),
+      ...(entry.compatible_batteries ? {
+        compatible_batteries: [...new Set(entry.compatible_batteries.map(normalizeBatteryCode))],
+      } : {}),
+    };
+  }
+
+  return {
+    graph: { hostCategories: [...graphConfig.host_categories], batteries },
+    overrides: products,
+  };
+}
+
+function applyConfig(graphConfig, overridesConfig) {
+  const errors = validateCompatibilityConfig(graphConfig, overridesConfig);
+  if (errors.length > 0) {
+    const err = new Error(`Invalid compatibility data: ${errors.join('; ')}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  ({ graph, overrides } = compile(graphConfig, overridesConfig));
+  loadedVersions = { graph: graphConfig.version ?? null, overrides: overridesConfig.version ?? null };
+  loadedAt = new Date().toISOString();
+}
+
+// Loaded synchronously on import — buildSearchQuery() is synchronous and the import
+// script enriches products right away. A missing or invalid file fails startup.
+applyConfig(
+  JSON.parse(readFileSync(GRAPH_FILE, 'utf-8')),
+  JSON.parse(readFileSync(OVERRIDES_FILE, 'utf-8')),
+);
+
+/**
+ * Reload graph + overrides from disk (for admin API).
+ * Throws on a missing/invalid file — the previously loaded data stays active.
+ */
+export async function reloadCompatibilityConfig() {
+  applyConfig(
+    JSON.parse(await readFile(GRAPH_FILE, 'utf-8')),
+    JSON.parse(await readFile(OVERRIDES_FILE, 'utf-8')),
+  );
+  return describeCompatibilityConfig();
+}
+
+/**
+ * Summary of the active graph (for admin API).
+ */
+export function describeCompatibilityConfig() {
+  return {
+    versions: loadedVersions,
+    loadedAt,
+    hostCategories: graph.hostCategories,
+    counts: {
+      batteries: graph.batteries.size,
+      models: new Set([...graph.batteries.values()].flat()).size,
+      overrides: Object.keys(overrides).length,
+    },
+  };
+}
+
+/**
+ * Categories of the bodies accessories attach to — never enriched, never returned as accessories.
+ */
+export function getHostCategories() {
+  return graph.hostCategories;
+}
+
+/**
+ * Per-product overrides: { [productId]: { compatible_models?, compatible_batteries? } }
+ */
+export function getCompatibilityOverrides() {
+  return overrides;
+}
+
+/**
+ * Battery codes used by a model. "canon eos r6" also collects codes of
+ * "canon eos r6 mark ii" — a family query shouldn't miss the newer body's battery.
+ */
+export function getModelBatteries(modelKey) {
+  if (!modelKey) return [];
+  const codes = [];
+  for (const [code, models] of graph.batteries) {
+    if (models.some((model) => model === modelKey || model.startsWith(`${modelKey} `))) codes.push(code);
+  }
+  return codes;
+}
+
+/**
+ * Compatibility fields for one product (import pipeline).
+ * Host products (camera bodies) get none; overrides replace the extracted values.
+ */
+export function extractCompatibility(product) {
+  if (graph.hostCategories.includes(product.category)) {
+    return { compatible_models: [], compatible_batteries: [] };
+  }
+
+  const text = `${product.name || ''}. ${product.description || ''}`;
+  const batteries = extractBatteryCodes(text);
+  const models = new Set(extractCompatibleModels(text));
+  for (const code of batteries) {
+    for (const model of graph.batteries.get(code) || []) models.add(model);
+  }
+
+  return {
+    compatible_models: [...models].sort(),
+    compatible_batteries: batteries.sort(),
+    ...overrides[product.id],
+  };
+}
+
+/**
+ * ES clauses matching accessories compatible with a model — exact model, newer
+ * variants of it ("canon eos r6" → "canon eos r6 mark ii"), or any of its batteries.
+ * Meant for a bool.should with minimum_should_match: 1.
+ */
+export function buildCompatibilityClauses(modelKey, batteries = getModelBatteries(modelKey)) {
+  const clauses = [];
+  if (modelKey) {
+    clauses.push({ term: { compatible_models: { value: modelKey, boost: 10 } } });
+    clauses.push({ prefix: { compatible_models: { value: `${modelKey} `, boost: 5 } } });
+  }
+  if (batteries.length > 0) {
+    clauses.push({ terms: { compatible_batteries: batteries, boost: 8 } });
+  }
+  return clauses;
+}
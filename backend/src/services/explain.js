@@ -0,0 +1,92 @@
+/**
+ * Explain parser — turns ES `_explanation` trees into a per-hit breakdown
+ * of the function_score factors applied by ranking.js (debug mode).
+ *
+ * ES doesn't name function_score functions, so each function explanation is
+ * classified by what it touches: the filter it matched or the fields its script reads.
+ */
+
+// Ordered: first match wins. `group` buckets factors for the relevance team.
+const FACTOR_PATTERNS = [
+  { factor: 'availability', group: 'availability', pattern: /\bavailability:/ },
+  { factor: 'condition', group: 'business', pattern: /\bcondition:/ },
+  { factor: 'promo', group: 'business', pattern: /\bis_promo:/ },
+  { factor: 'bestseller', group: 'business', pattern: /\bis_bestseller:/ },
+  { factor: 'highlighted', group: 'business', pattern: /\bis_highlighted:/ },
+  { factor: 'no_image', group: 'business', pattern: /\bhas_image:/ },
+  { factor: 'category', group: 'category', pattern: /\bcategory:/ },
+  { factor: 'ga4_popularity', group: 'ga4', pattern: /ga4\.popularity_score/ },
+  { factor: 'ga4_conversion', group: 'ga4', pattern: /ga4\.conversion_score/ },
+  { factor: 'ga4_trending', group: 'ga4', pattern: /ga4\.trending_score/ },
+  { factor: 'sales_30d', group: 'sales', pattern: /sales_30d/ },
+  { factor: 'sales_365d', group: 'sales', pattern: /sales_365d/ },
+  { factor: 'revenue', group: 'sales', pattern: /revenue_(?:30|365)d/ },
+  { factor: 'margin', group: 'business', pattern: /margin_pct/ },
+  { factor: 'rating', group: 'business', pattern: /review_count/ },
+  { factor: 'novelty', group: 'business', pattern: /created_at/ },
+  { factor: 'sku_specificity', group: 'query', pattern: /name\.exact/ },
+];
+
+const SCORE_MODE_PREFIX = 'function score, score mode';
+
+/**
+ * Breadth-first search for the outermost "score mode" node — the ranking
+ * function_score. Nested function_scores (CATEGORY intent) sit deeper.
+ */
+function findScoreModeNode(explanation) {
+  const queue = [explanation];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    if (node.description?.startsWith(SCORE_MODE_PREFIX)) return node;
+    queue.push(...(node.details || []));
+  }
+  return null;
+}
+
+/**
+ * Classify one function explanation. Looks at its own description (scripts
+ * embed their source) and its direct children ("match filter: ..." for filters).
+ */
+function classifyFunction(node) {
+  const text = [node.description, ...(node.details || []).map((d) => d.description)].join(' ');
+  const match = FACTOR_PATTERNS.find(({ pattern }) => pattern.test(text));
+  const filterDetail = (node.details || []).find((d) => d.description?.startsWith('match filter:'));
+  return {
+    factor: match?.factor || 'other',
+    group: match?.group || 'other',
+    value: node.value,
+    ...(filterDetail ? { filter: filterDetail.description.slice('match filter: '.length) } : {}),
+  };
+}
+
+/**
+ * Break a single hit explanation into the text-relevance score and ranking factors.
+ * Only functions that matched the hit appear in the explanation (and here).
+ */
+export function explainHit(hit) {
+  const explanation = hit._explanation;
+  if (!explanation) return null;
+
+  const scoreModeNode = findScoreModeNode(explanation);
+  const factors = scoreModeNode ? (scoreModeNode.details || []).map(classifyFunction) : [];
+  const groups = {};
+  for (const { group, value } of factors) {
+    groups[group] = (groups[group] ?? 1) * value;
+  }
+
+  return {
+    id: hit._source?.id ?? hit._id,
+    score: hit._score,
+    query_score: explanation.details?.[0]?.value ?? null,
+    function_score: scoreModeNode?.value ?? null,
+    groups,
+    factors,
+  };
+}
+
+/**
+ * Explain all hits of a search response.
+ */
+export function explainHits(hits) {
+  return (hits || []).map(explainHit).filter(Boolean);
+}
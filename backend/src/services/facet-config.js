@@ -0,0 +1,187 @@
+/**
+ * Facet configuration service — declarative, per-category facet profiles.
+ * Loads from data/facets/facet-config.json and can be reloaded via the admin API.
+ *
+ * Config shape:
+ *   facets:   catalogue of facet definitions (type, field, URL filter, size)
+ *   profiles: named facet lists, each bound to a set of ES categories.
+ *             Entries are a facet name or { name, ...overrides } (e.g. size).
+ *             The "default" profile is used when no category matches.
+ */
+
+import { readFileSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CONFIG_FILE = resolve(__dirname, '..', '..', '..', 'data', 'facets', 'facet-config.json');
+
+// Facet types and the definition keys each one requires
+//   terms  — keyword/number buckets, multi-select
+//   range  — fixed buckets from `ranges`
+//   span   — min/max bounds over two fields (e.g. focal_length_min/max)
+//   slider — stats + percentiles + adaptive histogram (price slider)
+const FACET_TYPES = {
+  terms: ['field'],
+  range: ['field', 'ranges'],
+  span: ['min_field', 'max_field'],
+  slider: ['field'],
+};
+
+// A dominant category must hold at least this share of hits to pick its profile
+const DOMINANT_CATEGORY_SHARE = 0.6;
+
+let profiles = new Map();
+let categoryToProfile = new Map();
+let loadedVersion = null;
+let loadedAt = null;
+
+/**
+ * Validate a raw config object. Returns a list of human-readable errors (empty = valid).
+ */
+export function validateFacetConfig(config) {
+  const errors = [];
+  if (!config || typeof config !== 'object') {
+    return ['config must be an object'];
+  }
+  const catalogue = config.facets || {};
+  const profileDefs = config.profiles || {};
+
+  if (!profileDefs.default) {
+    errors.push('profiles.default is required');
+  }
+
+  const seenCategories = new Map();
+  for (const [profileName, profile] of Object.entries(profileDefs)) {
+    if (!Array.isArray(profile.facets) || profile.facets.length === 0) {
+      errors.push(`profiles.${profileName}.facets must be a non-empty array`);
+      continue;
+    }
+    for (const entry of profile.facets) {
+      const def = resolveFacetDef(catalogue, entry);
+      const label = `profiles.${profileName}: facet "${def.name}"`;
+      if (!catalogue[def.name]) {
+        errors.push(`${label} is not defined in facets`);
+        continue;
+      }
+      const required = FACET_TYPES[def.type];
+      if (!required) {
+        errors.push(`${label} has unknown type "${def.type}"`);
+        continue;
+      }
+      for (const key of required) {
+        if (def[key] == null) errors.push(`${label} (${def.type}) is missing "${key}"`);
+      }
+      if (def.size != null && (!Number.isInteger(def.size) || def.size < 1)) {
+        errors.push(`${label} size must be a positive integer`);
+      }
+    }
+    for (const category of profile.categories || []) {
+      if (seenCategories.has(category)) {
+        errors.push(`category "${category}" is listed in both "${seenCategories.get(category)}" and "${profileName}"`);
+      }
+      seenCategories.set(category, profileName);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Merge a profile entry (name or { name, ...overrides }) with its catalogue definition.
+ */
+function resolveFacetDef(catalogue, entry) {
+  const { name, ...overrides } = typeof entry === 'string' ? { name: entry } : entry;
+  return { name, ...(catalogue[name] || {}), ...overrides };
+}
+
+function applyConfig(config) {
+  const nextProfiles = new Map();
+  const nextCategoryMap = new Map();
+  for (const [profileName, profile] of Object.entries(config.profiles)) {
+    const categories = profile.categories || [];
+    nextProfiles.set(profileName, {
+      name: profileName,
+      categories,
+      facets: profile.facets.map((entry) => resolveFacetDef(config.facets, entry)),
+    });
+    for (const category of categories) {
+      nextCategoryMap.set(category, profileName);
+    }
+  }
+  profiles = nextProfiles;
+  categoryToProfile = nextCategoryMap;
+  loadedVersion = config.version ?? null;
+  loadedAt = new Date().toISOString();
+}
+
+/**
+ * Parse and validate the raw config file contents. Throws (400) on malformed JSON
+ * or an invalid config.
+ */
+function parseFacetConfig(raw) {
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (parseErr) {
+    const err = new Error(`Invalid facet config: ${parseErr.message}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  const errors = validateFacetConfig(config);
+  if (errors.length > 0) {
+    const err = new Error(`Invalid facet config: ${errors.join('; ')}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return config;
+}
+
+/**
+ * Load and validate the facet config file.
+ * Throws on a missing/invalid file — the previously loaded config stays active.
+ */
+export async function loadFacetConfig() {
+  applyConfig(parseFacetConfig(await readFile(CONFIG_FILE, 'utf-8')));
+}
+
+// Load synchronously on import — a missing or invalid file fails startup
+applyConfig(parseFacetConfig(readFileSync(CONFIG_FILE, 'utf-8')));
+
+/**
+ * Get the facet profile for an ES category, or the default profile.
+ */
+export function getFacetProfile(category) {
+  const profileName = category ? categoryToProfile.get(category) : null;
+  return profiles.get(profileName) || profiles.get('default');
+}
+
+/**
+ * Pick the dominant category from formatted category buckets.
+ * Returns the category name when it holds enough of the hits, else null.
+ */
+export function getDominantCategory(categoryBuckets, total) {
+  const top = (categoryBuckets || [])[0];
+  if (!top || !total) return null;
+  return top.count / total >= DOMINANT_CATEGORY_SHARE ? top.name : null;
+}
+
+/**
+ * List the active configuration (for admin API).
+ */
+export function listFacetProfiles() {
+  return {
+    version: loadedVersion,
+    loadedAt,
+    profiles: [...profiles.values()],
+  };
+}
+
+/**
+ * Reload facet configuration (for admin API).
+ */
+export async function reloadFacetConfig() {
+  await loadFacetConfig();
+  return { version: loadedVersion, profiles: profiles.size, categories: categoryToProfile.size };
+}
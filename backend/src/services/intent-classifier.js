@@ -4,177 +4,13 @@
  *
  * Intent types: EAN, SKU, MODEL, BRAND, COMPOUND, PARAMETRIC, CATEGORY, PRICE, GENERAL
  * COMPOUND = category word + brand + optional parameters (e.g. "obiektyw Canon 50 mm")
+ *
+ * Brand, category, mount and model dictionaries live in data/classifier/dictionaries.json
+ * (see classifier-config.js); the patterns below are query grammar and stay in code.
  */
 
 import { extractParams, stripParams } from './param-extractor.js';
-
-// Known brands for MODEL intent detection (from Cyfrowe.pl feed)
-const KNOWN_BRANDS = [
-  'canon', 'sony', 'nikon', 'fujifilm', 'fuji', 'panasonic', 'lumix',
-  'olympus', 'om system', 'leica', 'sigma', 'tamron', 'viltrox', 'samyang',
-  'godox', 'profoto', 'manfrotto', 'benro', 'gitzo', 'peak design',
-  'lowepro', 'hoya', 'b+w', 'nisi', 'dji', 'gopro', 'sandisk', 'lexar',
-  'kingston', 'zhiyun', 'rode', 'sennheiser', 'smallrig', 'fomei',
-  'patona', 'newell', 'savage', 'marumi', 'epson', 'glareone',
-  'hasselblad', 'ricoh', 'pentax', 'zeiss', 'tokina', 'laowa',
-  'joby', 'tether tools', 'elinchrom', 'broncolor', 'aputure',
-];
-
-const BRAND_PATTERN = new RegExp(
-  `\\b(${KNOWN_BRANDS.map((b) => b.replace(/[+]/g, '\\$&')).join('|')})\\b`,
-  'i'
-);
-
-// Known categories for CATEGORY intent (mapped to real Cyfrowe.pl categories)
-const CATEGORY_NAMES = new Map([
-  // Aparaty
-  ['aparaty', 'Aparaty cyfrowe'],
-  ['aparaty cyfrowe', 'Aparaty cyfrowe'],
-  ['aparaty bezlusterkowe', 'Aparaty cyfrowe'],
-  ['bezlusterkowce', 'Aparaty cyfrowe'],
-  ['mirrorless', 'Aparaty cyfrowe'],
-  ['lustrzanki', 'Aparaty cyfrowe'],
-  ['dslr', 'Aparaty cyfrowe'],
-  ['aparaty analogowe', 'Aparaty analogowe'],
-  ['analogowe', 'Aparaty analogowe'],
-
-  // Obiektywy
-  ['obiektywy', 'Obiektywy do bezlusterkowców'],
-  ['obiektyw', 'Obiektywy do bezlusterkowców'],
-  ['obiektywy do bezlusterkowców', 'Obiektywy do bezlusterkowców'],
-  ['obiektywy do lustrzanek', 'Obiektywy do lustrzanek'],
-
-  // Statywy
-  ['statywy', 'Statywy i akcesoria'],
-  ['statyw', 'Statywy i akcesoria'],
-
-  // Oświetlenie
-  ['lampy błyskowe', 'Lampy błyskowe'],
-  ['lampy', 'Lampy błyskowe'],
-  ['flesz', 'Lampy błyskowe'],
-  ['flash', 'Lampy błyskowe'],
-  ['lampy studyjne', 'Lampy błyskowe studyjne'],
-  ['oświetlenie', 'Lampy światła ciągłego'],
-  ['lampy wideo', 'Lampy wideo'],
-  ['softboxy', 'Softboxy i akcesoria'],
-
-  // Filtry
-  ['filtry', 'Filtry, pokrywki'],
-  ['filtr', 'Filtry, pokrywki'],
-  ['filtry nd', 'Filtry, pokrywki'],
-  ['filtry uv', 'Filtry, pokrywki'],
-  ['filtry prostokątne', 'Filtry prostokątne'],
-
-  // Pamięć / karty
-  ['karty pamięci', 'Karty pamięci'],
-  ['karty sd', 'Karty pamięci'],
-  ['karty cf', 'Karty pamięci'],
-
-  // Torby, plecaki
-  ['torby', 'Torby, plecaki, walizki'],
-  ['plecaki', 'Torby, plecaki, walizki'],
-  ['plecak', 'Torby, plecaki, walizki'],
-  ['walizki', 'Torby, plecaki, walizki'],
-
-  // Drony
-  ['drony', 'Drony'],
-  ['dron', 'Drony'],
-
-  // Kamery
-  ['kamery', 'Kamery cyfrowe'],
-  ['kamera', 'Kamery cyfrowe'],
-  ['kamery sportowe', 'Kamery sportowe'],
-  ['gopro', 'Kamery sportowe'],
-  ['kamery internetowe', 'Kamery internetowe'],
-
-  // Stabilizatory
-  ['gimbale', 'Systemy stabilizacji'],
-  ['gimbal', 'Systemy stabilizacji'],
-  ['stabilizatory', 'Systemy stabilizacji'],
-
-  // Audio
-  ['audio', 'Audio'],
-  ['mikrofon', 'Audio'],
-  ['mikrofony', 'Audio'],
-  ['słuchawki', 'Słuchawki'],
-
-  // Zasilanie
-  ['akumulatory', 'Akumulatory'],
-  ['akumulator', 'Akumulatory'],
-  ['baterie', 'Akumulatory'],
-  ['ładowarki', 'Ładowarki'],
-  ['zasilanie', 'Zasilanie'],
-
-  // Optyka
-  ['lornetki', 'Lornetki'],
-  ['lornetka', 'Lornetki'],
-  ['lunety', 'Lunety'],
-  ['teleskopy', 'Teleskopy'],
-
-  // Inne
-  ['monitory', 'Monitory'],
-  ['monitor', 'Monitory'],
-  ['drukarki', 'Drukarki'],
-  ['drukarka', 'Drukarki'],
-  ['skanery', 'Skanery'],
-  ['tablety', 'Tablety'],
-  ['etui', 'Etui'],
-  ['paski', 'Paski i szelki'],
-  ['adaptery', 'Adaptery bagnetowe'],
-  ['dyski', 'Dyski twarde'],
-  ['tła', 'Tła i systemy zawieszania'],
-  ['papier', 'Papier fotograficzny'],
-  ['używane', 'Używane aparaty cyfrowe'],
-]);
-
-// Category words for COMPOUND intent detection — maps individual words to ES categories.
-// Unlike CATEGORY_NAMES (which matches the full query), this matches per-word within
-// compound queries like "obiektyw Canon 50 mm" or "statyw Manfrotto".
-const CATEGORY_WORD_MAP = new Map([
-  // Obiektywy
-  ['obiektyw', 'Obiektywy do bezlusterkowców'],
-  ['obiektywy', 'Obiektywy do bezlusterkowców'],
-  // Aparaty
-  ['aparat', 'Aparaty cyfrowe'],
-  ['aparaty', 'Aparaty cyfrowe'],
-  ['bezlusterkowiec', 'Aparaty cyfrowe'],
-  ['bezlusterkowce', 'Aparaty cyfrowe'],
-  ['lustrzanka', 'Aparaty cyfrowe'],
-  ['lustrzanki', 'Aparaty cyfrowe'],
-  // Statywy
-  ['statyw', 'Statywy i akcesoria'],
-  ['statywy', 'Statywy i akcesoria'],
-  // Oświetlenie
-  ['lampa', 'Lampy błyskowe'],
-  ['lampy', 'Lampy błyskowe'],
-  ['flesz', 'Lampy błyskowe'],
-  // Kamery
-  ['kamera', 'Kamery cyfrowe'],
-  ['kamery', 'Kamery cyfrowe'],
-  // Drony
-  ['dron', 'Drony'],
-  ['drony', 'Drony'],
-  // Torby/plecaki
-  ['plecak', 'Torby, plecaki, walizki'],
-  ['plecaki', 'Torby, plecaki, walizki'],
-  ['torba', 'Torby, plecaki, walizki'],
-  ['torby', 'Torby, plecaki, walizki'],
-  // Stabilizacja
-  ['gimbal', 'Systemy stabilizacji'],
-  ['gimbale', 'Systemy stabilizacji'],
-  // Audio
-  ['mikrofon', 'Audio'],
-  ['mikrofony', 'Audio'],
-  // Filtry
-  ['filtr', 'Filtry, pokrywki'],
-  ['filtry', 'Filtry, pokrywki'],
-  // Monitory
-  ['monitor', 'Monitory'],
-  ['monitory', 'Monitory'],
-  // Drukarki
-  ['drukarka', 'Drukarki'],
-  ['drukarki', 'Drukarki'],
-]);
+import { getClassifierDictionaries } from './classifier-config.js';
 
 /**
  * Detect a category word within the query (not just exact full-query match).
@@ -182,9 +18,10 @@ const CATEGORY_WORD_MAP = new Map([
  * "obiektyw Canon 50 mm" → { categoryWord: 'obiektyw', esCategory: 'Obiektywy do bezlusterkowców' }
  */
 function detectCategoryWord(q) {
+  const { categoryWords } = getClassifierDictionaries();
   const words = q.toLowerCase().split(/\s+/);
   for (const word of words) {
-    const cat = CATEGORY_WORD_MAP.get(word);
+    const cat = categoryWords.get(word);
     if (cat) {
       return { categoryWord: word, esCategory: cat };
     }
@@ -192,44 +29,18 @@ function detectCategoryWord(q) {
   return null;
 }
 
-// Brand genitive forms (Polish declension) → nominative for brand detection
-// "do Canona" → "do Canon", "obiektywy Sigmy" → "obiektywy Sigma"
-const BRAND_GENITIVE_MAP = new Map([
-  ['canona', 'canon'], ['nikona', 'nikon'], ['sigmy', 'sigma'],
-  ['tamrona', 'tamron'], ['fujifilma', 'fujifilm'], ['panasonica', 'panasonic'],
-  ['olympusa', 'olympus'], ['leicę', 'leica'], ['leicy', 'leica'],
-  ['samyanga', 'samyang'], ['viltrox', 'viltrox'], ['zeissa', 'zeiss'],
-  ['tokiny', 'tokina'], ['hasselbla', 'hasselblad'],
-  ['pentaxa', 'pentax'], ['ricoha', 'ricoh'],
-]);
-
 /**
  * Normalize Polish genitive brand forms to nominative for brand detection.
  * "obiektyw do Canona" → "obiektyw do Canon"
  */
 function normalizeBrandGenitive(q) {
+  const { brandGenitive } = getClassifierDictionaries();
   return q.replace(/\b(\w+)\b/g, (match) => {
-    const replacement = BRAND_GENITIVE_MAP.get(match.toLowerCase());
+    const replacement = brandGenitive.get(match.toLowerCase());
     return replacement || match;
   });
 }
 
-// Brand → mount system mapping for compatibility searches
-const BRAND_MOUNT_MAP = {
-  canon: ['Canon RF', 'Canon EF'],
-  sony: ['Sony E', 'Sony FE'],
-  nikon: ['Nikon Z', 'Nikon F'],
-  fujifilm: ['Fujifilm X', 'Fujifilm GFX'],
-  fuji: ['Fujifilm X', 'Fujifilm GFX'],
-  panasonic: ['L-mount', 'Micro 4/3'],
-  lumix: ['L-mount', 'Micro 4/3'],
-  olympus: ['Micro 4/3'],
-  'om system': ['Micro 4/3'],
-  leica: ['L-mount'],
-  sigma: ['L-mount', 'Canon RF', 'Sony E', 'Nikon Z', 'Canon EF', 'Nikon F'],
-  tamron: ['Sony E', 'Nikon Z', 'Canon RF', 'Canon EF', 'Nikon F'],
-};
-
 // Camera/body model patterns per brand
 // When a user types "sony a7" or "canon eos r6", they want cameras, not accessories
 const BODY_MODEL_PATTERNS = {
@@ -263,21 +74,6 @@ function detectBodyQuery(brand, afterBrand) {
   return false;
 }
 
-// Reverse map: model/series name → brand
-// Detects brand from model name when user omits the brand (e.g. "eos r6" → canon)
-const MODEL_TO_BRAND = [
-  { pattern: /\beos\b|^r[0-9]\b|^r5\b|^r6\b|^r7\b|^r8\b|^r10\b|^r50\b|^r100\b|^powershot\b|\b1d\b|\b5d\b|\b6d\b|\b7d\b|\b80d\b|\b90d\b/i, brand: 'canon' },
-  { pattern: /\balpha\b|^a[1-9]\b|^a7[crs]?\b|^a6[0-9]{3}\b|^a9\b|^zv-?[0-9e]/i, brand: 'sony' },
-  { pattern: /\blumix\b|^gh[0-9]\b|^g[0-9]\b|^s5\b/i, brand: 'panasonic' },
-  { pattern: /^x-?t[0-9]|^x-?[hsep][0-9]|^x100\b|^gfx\b|^x-?pro/i, brand: 'fujifilm' },
-  { pattern: /^z[5-9]\b|^z30\b|^z50\b|^zf\b|^zfc\b|^d[3-9][0-9]{2}\b|^d[0-9]{4}\b/i, brand: 'nikon' },
-  { pattern: /\bmavic\b|\bosmo\b|\bphantom\b|\bavata\b/i, brand: 'dji' },
-  { pattern: /\bhero\b/i, brand: 'gopro' },
-  { pattern: /^om-?[0-9]\b|^e-?m[0-9]\b|^pen\b/i, brand: 'olympus' },
-  { pattern: /^gr\b|^theta\b/i, brand: 'ricoh' },
-  { pattern: /^k-?[0-9]\b/i, brand: 'pentax' },
-];
-
 /**
  * Try to infer brand from query when no explicit brand name was found.
  * "eos r6 używany" → { brand: 'canon', isBodyQuery: true }
@@ -285,7 +81,7 @@ const MODEL_TO_BRAND = [
 function inferBrandFromModel(q) {
   // Strip condition words before matching
   const cleaned = q.replace(USED_PATTERN, '').replace(NEW_PATTERN, '').trim();
-  for (const { pattern, brand } of MODEL_TO_BRAND) {
+  for (const { pattern, brand } of getClassifierDictionaries().modelToBrand) {
     if (pattern.test(cleaned)) {
       const isBodyQuery = detectBodyQuery(brand, cleaned);
       return { brand, isBodyQuery };
@@ -301,24 +97,140 @@ const USED_PATTERN = /\b(?:używ\w*|uzyw\w*|second[\s-]?hand|poleasingow\w*)(?:\
 const NEW_PATTERN = /\b(?:now[yaeio]|fabrycznie?\s*now[yaeio]|nówka)(?:\b|$)/i;
 
 // Accessory preference — user wants accessories, not the main product
-// Supports partial typing: "akceso" → true
-const ACCESSORY_PATTERN = /\b(?:akceso\w*|accesso\w*|klatk[aię]\w*|grip\w*|osłon\w*|etui\w*|filtr\w*|torb[aęy]\w*|plecak\w*|pasek\w*|ładowark\w*|akumulat\w*|bateri\w*)(?:\b|$)/i;
+// Supports partial typing: "akceso" → true. Starts at a letter boundary, not \b —
+// \b doesn't see one before a Polish letter ("ładowarka")
+const ACCESSORY_PATTERN = /(?<![\p{L}\d])(?:akceso\w*|accesso\w*|klatk[aię]\w*|grip\w*|osłon\w*|etui\w*|filtr\w*|torb[aęy]\w*|plecak\w*|pasek\w*|ładowark\w*|akumulat\w*|bateri\w*)(?:\b|$)/iu;
 
 // Intent patterns
 const PATTERNS = {
   EAN: /^\d{8}$|^\d{13}$/,
   // Matches manufacturer codes like LP-E6NH, NP-FW50, BG-R10, SB-300, EN-EL15c
-  // Pattern: 2-4 letters + dash/underscore + alphanumeric part with at least one digit
-  SKU: /^[A-Z]{2,4}[-_][A-Z]*\d[A-Z0-9]*/i,
+  // Pattern: 2-4 letters + dash/underscore + alphanumeric part with at least one digit,
+  // or a dashless code with letters after the digits like MT055CXPRO4, MVH500AH —
+  // unless those letters are a unit ("rf50mm", "sd128gb" are parametric, not codes)
+  SKU: /^[A-Z]{2,4}[-_][A-Z]*\d[A-Z0-9]*|^[A-Z]{2,4}\d{2,}(?!(?:mm|gb|tb|mp|mah|wh)$)[A-Z]{2,}[A-Z0-9]*$/i,
   PARAMETRIC_APERTURE: /f\/\d+\.?\d*/i,
   PARAMETRIC_FOCAL: /\d+(?:-\d+)?\s*mm/i,
   PARAMETRIC_RES: /\b\d+[kK]\b/,
   PARAMETRIC_FPS: /\d+\s*fps/i,
   PARAMETRIC_SENSOR: /\b(?:full\s*frame|aps-?c|micro\s*4\/3|m43|pełna\s*klatka)\b/i,
   PARAMETRIC_MOUNT: /\b(?:RF|EF|FE|E-mount|Z-mount|X-mount|L-mount|MFT)\b/i,
-  PRICE: /(?:do\s+(\d+)\s*(?:zł|pln)?|poniżej\s+(\d+)|tani[ae]?\b)/i,
 };
 
+// ── Price phrases ─────────────────────────────────────────────
+// Amount: "5000", "5 000", "3,5" + optional multiplier ("tys", "k") + optional currency.
+// Groups: number, multiplier, currency. Not followed by a unit ("do 50 mm", "do 128 gb").
+const PRICE_AMOUNT = String.raw`(\d{1,3}(?:[ \u00a0]\d{3})+|\d+(?:[.,]\d+)?)(?:\s*(tys\.?|tyś\.?|tysięcy|tysiąca|k)(?![\p{L}]))?(?:\s*(zł|zl|pln|złotych|zlotych)(?![\p{L}]))?(?!\s*(?:mm|cm|m|gb|tb|mb|mp|fps|mah|wh|w|kg|g|p|cali|x)(?![\p{L}\d]))(?![\p{L}\d])`;
+const WORD_START = String.raw`(?<![\p{L}\d])`;
+
+const PRICE_RULES = [
+  // "od 2000 do 5000 zł"
+  { bound: 'range', pattern: new RegExp(`${WORD_START}od\\s+${PRICE_AMOUNT}\\s+do\\s+${PRICE_AMOUNT}`, 'iu') },
+  // "2000-5000 zł", "2-3 tys" — the upper amount needs a currency or multiplier (else it's "70-200")
+  { bound: 'range', pattern: new RegExp(`${WORD_START}${PRICE_AMOUNT}\\s*[-–]\\s*(?=\\d[\\d ,.]*\\s*(?:tys|tyś|k|zł|zl|pln))${PRICE_AMOUNT}`, 'iu') },
+  // "ok. 500 zł", "około 3 tys", "~2000"
+  { bound: 'approx', pattern: new RegExp(`(?:${WORD_START}(?:ok\\.?|około|okolo|koło|kolo|w okolicy)\\s*|~\\s*)${PRICE_AMOUNT}`, 'iu') },
+  // "powyżej 3 tys", "od 2000 zł"
+  { bound: 'min', pattern: new RegExp(`${WORD_START}(?:powyżej|powyzej|ponad|od|min\\.?|minimum|więcej niż|wiecej niz)\\s+${PRICE_AMOUNT}`, 'iu') },
+  // "do 5000 zł", "poniżej 500"
+  { bound: 'max', pattern: new RegExp(`${WORD_START}(?:do|poniżej|ponizej|max\\.?|maks\\.?|maksymalnie|mniej niż|mniej niz|nie drożej niż|nie drozej niz)\\s+${PRICE_AMOUNT}`, 'iu') },
+];
+
+// "tani aparat" — a price wish without numbers
+const CHEAP_PATTERN = /(?<![\p{L}])tan(?:i|ia|ie|ich|iego|ią)(?![\p{L}])/iu;
+
+// "ok. 500 zł" → 425–575 zł
+const PRICE_APPROX_TOLERANCE = 0.15;
+
+// An amount without currency or multiplier must be at least this much to count
+// as a price — "ładowarka do 2 akumulatorów" is not a price constraint
+const MIN_BARE_PRICE = 100;
+
+/**
+ * Parse one amount match. Returns the value in PLN, or null when it doesn't look like a price.
+ */
+function parsePriceAmount(number, multiplier, currency) {
+  let value = parseFloat(number.replace(/[ \u00a0]/g, '').replace(',', '.'));
+  if (!Number.isFinite(value)) return null;
+  if (multiplier) {
+    // "4k" without currency is a video resolution, not 4000 zł
+    if (multiplier.toLowerCase() === 'k' && !currency && value < 10) return null;
+    value *= 1000;
+  } else if (!currency && value < MIN_BARE_PRICE) {
+    return null;
+  }
+  return Math.round(value);
+}
+
+/**
+ * Lower end of a range match (groups 1-3; the upper end is groups 4-6).
+ * A bare lower amount borrows the upper end's multiplier/currency when the result
+ * still fits below the upper end: "od 2 do 5 tys" → 2000, but "1500-3 tys" → 1500.
+ */
+function parseLowerPriceBound(match, upper) {
+  const own = parsePriceAmount(match[1], match[2], match[3]);
+  if (match[2] || match[3] || upper == null) return own;
+  const borrowed = parsePriceAmount(match[1], match[5], match[6]);
+  return borrowed != null && borrowed <= upper ? borrowed : own;
+}
+
+/**
+ * Split price phrases off a query.
+ * "aparat od 2000 do 5000 zł" → { query: 'aparat', minPrice: 2000, maxPrice: 5000 }
+ * "obiektyw powyżej 3 tys"    → { query: 'obiektyw', minPrice: 3000, maxPrice: null }
+ * "lampa ok. 500 zł"          → { query: 'lampa', minPrice: 425, maxPrice: 575, approximate: true }
+ * `cheap` is set for "tani/tania/tanie" (no bounds).
+ */
+export function extractPriceRange(query) {
+  let text = (query || '').trim();
+  let minPrice = null;
+  let maxPrice = null;
+  let approximate = false;
+
+  for (const { bound, pattern } of PRICE_RULES) {
+    const match = pattern.exec(text);
+    if (!match) continue;
+
+    if (bound === 'range') {
+      const upper = parsePriceAmount(match[4], match[5], match[6]);
+      const lower = parseLowerPriceBound(match, upper);
+      if (upper == null || lower == null) continue;
+      minPrice = Math.min(lower, upper);
+      maxPrice = Math.max(lower, upper);
+      text = text.replace(match[0], ' ');
+      continue;
+    }
+
+    const first = parsePriceAmount(match[1], match[2], match[3]);
+    if (first == null) continue;
+
+    if (bound === 'approx') {
+      minPrice = Math.round(first * (1 - PRICE_APPROX_TOLERANCE));
+      maxPrice = Math.round(first * (1 + PRICE_APPROX_TOLERANCE));
+      approximate = true;
+    } else if (bound === 'min') {
+      if (minPrice != null) continue;
+      minPrice = first;
+    } else if (maxPrice == null) {
+      maxPrice = first;
+    } else {
+      continue;
+    }
+    text = text.replace(match[0], ' ');
+  }
+
+  const cheap = CHEAP_PATTERN.test(text);
+  if (cheap) text = text.replace(CHEAP_PATTERN, ' ');
+
+  return {
+    query: text.replace(/\s+/g, ' ').trim(),
+    minPrice,
+    maxPrice,
+    approximate,
+    cheap,
+  };
+}
+
 /**
  * Detect condition preference from query.
  * Returns 'used' | 'new' | null
@@ -336,34 +248,20 @@ function detectAccessoryPreference(q) {
   return ACCESSORY_PATTERN.test(q);
 }
 
-// Map accessory words to their ES category for filtering
-const ACCESSORY_TO_CATEGORY = new Map([
-  ['akumulator', 'Akumulatory'], ['akumulatory', 'Akumulatory'], ['bateria', 'Akumulatory'], ['baterie', 'Akumulatory'],
-  ['ładowarka', 'Ładowarki'], ['ładowarki', 'Ładowarki'],
-  ['filtr', 'Filtry, pokrywki'], ['filtry', 'Filtry, pokrywki'],
-  ['torba', 'Torby, plecaki, walizki'], ['torby', 'Torby, plecaki, walizki'],
-  ['plecak', 'Torby, plecaki, walizki'], ['plecaki', 'Torby, plecaki, walizki'],
-  ['etui', 'Etui'],
-  ['grip', 'Akumulatory'], ['gripy', 'Akumulatory'],
-  ['klatka', 'Rigi i akcesoria'], ['klatki', 'Rigi i akcesoria'],
-  ['osłona', 'Akcesoria drobne'], ['osłony', 'Akcesoria drobne'],
-  ['pasek', 'Paski i szelki'], ['paski', 'Paski i szelki'],
-  ['akcesoria', null], // generic — no specific category filter
-]);
-
 /**
  * Try to map the accessory words in query to a specific ES category.
  * "akumulator" → "Akumulatory", "ładowarka" → "Ładowarki", null if generic/unknown
  */
 function detectAccessoryCategory(q) {
+  const { accessoryCategories } = getClassifierDictionaries();
   const words = q.toLowerCase().split(/\s+/);
   for (const word of words) {
     // Try exact match first, then prefix match for partial typing
-    if (ACCESSORY_TO_CATEGORY.has(word)) {
-      return ACCESSORY_TO_CATEGORY.get(word);
+    if (accessoryCategories.has(word)) {
+      return accessoryCategories.get(word);
     }
     // Prefix match for partial typing (e.g. "akumulat" → "akumulator")
-    for (const [key, cat] of ACCESSORY_TO_CATEGORY) {
+    for (const [key, cat] of accessoryCategories) {
       if (key.startsWith(word) && word.length >= 4) {
         return cat;
       }
@@ -386,7 +284,83 @@ function stripModifierWords(q) {
     .trim();
 }
 
+// Prepositions left over once brand, category and params are cut from a COMPOUND query
+// ("obiektyw do Canon" → "do") — they carry no text to match on
+const CONNECTOR_PATTERN = /(?<![\p{L}\d])(?:do|dla)(?![\p{L}\d])/giu;
+
+/**
+ * Text left for relevance matching in a COMPOUND query, or '' when nothing is left.
+ */
+function cleanTextQuery(text) {
+  return text.replace(CONNECTOR_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Exclusion operators — "-używany", "bez głowicy", "oprócz Canona"
+// A "-" prefix only counts before a letter, so SKUs (LP-E6NH) and ranges (70-200) are untouched.
+// A quoted phrase excludes several words at once: -"karta pamięci"
+const EXCLUSION_PATTERN = /(?:^|\s)(-|(?:bez|oprócz|oprocz)\s+)("[^"]+"|\p{L}[\p{L}\d+./-]*)/giu;
+
+/**
+ * Split exclusion operators off a query.
+ * "statyw bez głowicy" → { query: 'statyw', exclusions: ['bez głowicy'] }
+ * "aparat oprócz Canona" → { query: 'aparat', exclusions: ['canon'] }
+ * "bez" keeps its operator: "bez głowicy" asks for products sold without one, and
+ * their names say so — the query builder must not drop those (buildExclusionClauses).
+ * A query made only of exclusions is returned unchanged (nothing left to search for).
+ */
+export function extractExclusions(query) {
+  const exclusions = [];
+  const positive = (query || '')
+    .replace(EXCLUSION_PATTERN, (match, operator, term) => {
+      // Genitive brand forms ("oprócz Canona") are excluded as the brand itself
+      let excluded = normalizeBrandGenitive(term.replace(/"/g, '').trim()).toLowerCase();
+      if (excluded && /^bez\s/i.test(operator)) excluded = `bez ${excluded}`;
+      if (excluded && !exclusions.includes(excluded)) exclusions.push(excluded);
+      return ' ';
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!positive) return { query: (query || '').trim(), exclusions: [] };
+  return { query: positive, exclusions };
+}
+
+/**
+ * Classify a search query. Exclusion operators and price phrases are split off
+ * first and the rest is classified as usual, so price combines with any intent
+ * ("obiektyw canon do 3000 zł" → COMPOUND + maxPrice). A query that is only text
+ * plus a price (GENERAL otherwise) becomes PRICE.
+ *
+ * Added when present: `exclusions`, `minPrice`/`maxPrice` (+ `priceApprox`), and
+ * `searchText` — the text left for ES matching once operators and price are removed.
+ */
 export function classifyIntent(query) {
+  const raw = (query || '').trim();
+  const { query: positive, exclusions } = extractExclusions(raw);
+  const price = extractPriceRange(positive);
+  const hasPrice = price.minPrice != null || price.maxPrice != null;
+
+  let intent = classifyPositiveQuery(price.query);
+  if ((hasPrice || price.cheap) && intent.type === 'GENERAL') {
+    const { type, ...rest } = intent;
+    intent = { type: 'PRICE', ...rest };
+  }
+  if (intent.type === 'PRICE' || hasPrice) {
+    intent.minPrice = price.minPrice;
+    intent.maxPrice = price.maxPrice;
+    if (price.approximate) intent.priceApprox = true;
+  }
+  if (exclusions.length > 0) {
+    intent.exclusions = exclusions;
+  }
+  if (price.query !== raw) {
+    intent.searchText = price.query;
+  }
+  return intent;
+}
+
+function classifyPositiveQuery(query) {
+  const { brandPattern, brandMounts, categoryNames } = getClassifierDictionaries();
   const raw = (query || '').trim();
   // Normalize Polish genitive brand forms before processing
   const q = normalizeBrandGenitive(raw);
@@ -417,7 +391,7 @@ export function classifyIntent(query) {
   }
 
   // RULE 3: MODEL, BRAND, or COMPOUND — brand name detected
-  const brandMatch = BRAND_PATTERN.exec(q);
+  const brandMatch = brandPattern.exec(q);
   if (brandMatch) {
     const brand = brandMatch[1];
     const afterBrand = q.slice(brandMatch.index + brandMatch[0].length).trim();
@@ -430,17 +404,16 @@ export function classifyIntent(query) {
     if (categoryResult) {
       const isBodyModel = detectBodyQuery(brand, afterBrand);
       if (!isBodyModel) {
-        // Build text query: strip category word, brand, and params from original query
-        const textParts = q.toLowerCase()
+        // Build text query: strip params, category word and brand from original query.
+        // Params go first — a mount alias can contain the brand ("nikon z").
+        const withoutParams = hasExtractedParams ? stripParams(q.toLowerCase(), q) : q.toLowerCase();
+        const textQuery = cleanTextQuery(withoutParams
           .replace(new RegExp(`\\b${categoryResult.categoryWord}\\b`, 'i'), '')
-          .replace(BRAND_PATTERN, '')
-          .replace(/\s+/g, ' ')
-          .trim();
-        const textQuery = hasExtractedParams ? stripParams(textParts) : textParts;
+          .replace(brandPattern, ''));
 
         // Detect compatibility mode: "obiektyw do Canon" → search by mount, not brand
         const isCompatibility = compatMatch;
-        const compatMounts = isCompatibility ? (BRAND_MOUNT_MAP[brand.toLowerCase()] || null) : null;
+        const compatMounts = isCompatibility ? (brandMounts[brand.toLowerCase()] || null) : null;
 
         return {
           type: 'COMPOUND',
@@ -485,7 +458,7 @@ export function classifyIntent(query) {
       .replace(new RegExp(`\\b${categoryResult.categoryWord}\\b`, 'i'), '')
       .replace(/\s+/g, ' ')
       .trim();
-    const textQuery = stripParams(textParts);
+    const textQuery = cleanTextQuery(stripParams(textParts, q));
     return {
       type: 'COMPOUND',
       query: q,
@@ -508,21 +481,13 @@ export function classifyIntent(query) {
 
   // RULE 6: CATEGORY — exact match to known category
   const qLower = q.toLowerCase();
-  const mappedCategory = CATEGORY_NAMES.get(qLower);
+  const mappedCategory = categoryNames.get(qLower);
   if (mappedCategory) {
     return { type: 'CATEGORY', query: q, category: mappedCategory, params, conditionPref, wantsAccessories };
   }
 
-  // RULE 7: PRICE — contains price constraint
-  const priceMatch = PATTERNS.PRICE.exec(q);
-  if (priceMatch) {
-    const maxPrice = parseInt(priceMatch[1] || priceMatch[2], 10) || null;
-    const cleanQuery = q.replace(PATTERNS.PRICE, '').trim();
-    return { type: 'PRICE', query: cleanQuery || q, maxPrice, params, conditionPref, wantsAccessories };
-  }
+  // RULE 7: PRICE — handled in classifyIntent (price phrases are stripped before the cascade)
 
   // DEFAULT: GENERAL — full hybrid search
   return { type: 'GENERAL', query: q, params, conditionPref, wantsAccessories };
 }
-
-export { KNOWN_BRANDS, CATEGORY_NAMES, BRAND_MOUNT_MAP };
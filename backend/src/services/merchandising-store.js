@@ -0,0 +1,344 @@
+/**
+ * Merchandising rule storage for the admin API — edits rules.json atomically, keeps a
+ * snapshot of every version and an append-only audit log, rolls back to any stored
+ * version, and keeps draft rule sets that can be previewed and published.
+ *
+ * Files (data/merchandising):
+ *   rules.json          live rule file (see services/merchandising.js), `version` bumped on every change
+ *   history/v<N>.json   snapshot of version N, written when the version is published
+ *   audit.jsonl         one JSON line per change: { version, at, claimed_actor, ip, action, rule_id, before, after }
+ *   drafts/<id>.json    draft: { id, name, base_version, created_at, updated_at, claimed_actor, rules }
+ *
+ * claimed_actor is the X-Admin-User name sent with the (shared) admin token — what the
+ * caller says, not a verified identity.
+ *
+ * A rollback publishes the old snapshot as a new version, so history is never rewritten.
+ */
+
+import { readFile, writeFile, rename, appendFile, mkdir, access, readdir, unlink } from 'fs/promises';
+import { resolve, dirname } from 'path';
+import { randomUUID } from 'crypto';
+import { RULES_FILE, compileMerchandisingRules, activateRules, diffRules } from './merchandising.js';
+
+const DATA_DIR = dirname(RULES_FILE);
+const HISTORY_DIR = resolve(DATA_DIR, 'history');
+const AUDIT_FILE = resolve(DATA_DIR, 'audit.jsonl');
+const DRAFTS_DIR = resolve(DATA_DIR, 'drafts');
+
+// Draft ids end up in file names — route schemas restrict them to this pattern
+export const DRAFT_ID = { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,63}$' };
+
+// Writes are serialized: read-modify-write of rules.json must not interleave
+let writeQueue = Promise.resolve();
+
+function notFound(message) {
+  const err = new Error(message);
+  err.statusCode = 404;
+  return err;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function conflict(message) {
+  const err = new Error(message);
+  err.statusCode = 409;
+  return err;
+}
+
+const snapshotFile = (version) => resolve(HISTORY_DIR, `v${version}.json`);
+
+/**
+ * Write JSON to a temp file and rename it over the target — readers never see a
+ * half-written file, and a failed write leaves the previous file intact.
+ */
+async function writeJsonAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await writeFile(tmpPath, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+  await rename(tmpPath, filePath);
+}
+
+async function exists(filePath) {
+  try {
+    await access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Current rule file as stored on disk (includes disabled rules).
+ */
+export async function readRuleFile() {
+  const config = JSON.parse(await readFile(RULES_FILE, 'utf-8'));
+  return { version: config.version ?? 0, rules: config.rules ?? [] };
+}
+
+/**
+ * Product ids referenced by pin/blacklist actions of the given rules.
+ */
+export function getRuleProductIds(rules) {
+  const ids = new Set();
+  for (const rule of rules) {
+    for (const action of rule.actions || []) {
+      if (action.type === 'pin' || action.type === 'blacklist') {
+        (action.products || []).forEach((id) => ids.add(id));
+      }
+    }
+  }
+  return [...ids];
+}
+
+/**
+ * Ids (of the given list) that are not in the index.
+ */
+export async function findMissingProducts(es, index, ids) {
+  if (ids.length === 0) return [];
+  const { docs } = await es.mget({ index, body: { ids }, _source: false });
+  return docs.filter((doc) => !doc.found).map((doc) => doc._id);
+}
+
+/**
+ * Validate a full rule file, store it as the next version, append the audit entry
+ * and activate it. `change(current)` returns { rules, audit } from the current file.
+ * Runs under the write lock; throws 400 on invalid rules. `changed` lists the rules
+ * added, removed or edited (see diffRules) — the ones whose cached queries are stale.
+ */
+export function commitRules(change, { claimedActor = null, ip = null } = {}) {
+  const run = writeQueue.then(async () => {
+    const current = await readRuleFile();
+    const { rules, audit } = await change(current);
+
+    const next = { version: current.version + 1, rules };
+    // Validate before touching any file
+    compileMerchandisingRules(next);
+
+    await mkdir(HISTORY_DIR, { recursive: true });
+    // Files edited by hand (or the initial one) get a snapshot before they are replaced
+    if (!(await exists(snapshotFile(current.version)))) {
+      await writeJsonAtomic(snapshotFile(current.version), current);
+    }
+    await writeJsonAtomic(snapshotFile(next.version), next);
+    await writeJsonAtomic(RULES_FILE, next);
+
+    const entry = { version: next.version, at: new Date().toISOString(), claimed_actor: claimedActor, ip, ...audit };
+    await appendFile(AUDIT_FILE, JSON.stringify(entry) + '\n', 'utf-8');
+
+    return {
+      version: next.version,
+      entry,
+      previous: current,
+      changed: diffRules(current.rules, rules),
+      summary: activateRules(next),
+    };
+  });
+  // A failed change must not block later ones
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Add a rule. Throws 400 when the id is taken.
+ */
+export function createRule(rule, meta) {
+  return commitRules((current) => {
+    if (current.rules.some((r) => r.id === rule.id)) {
+      throw badRequest(`rule "${rule.id}" already exists`);
+    }
+    return {
+      rules: [...current.rules, rule],
+      audit: { action: 'create', rule_id: rule.id, before: null, after: rule },
+    };
+  }, meta);
+}
+
+/**
+ * Replace a rule (same id, same position in the file). Throws 404 for unknown ids.
+ */
+export function updateRule(id, rule, meta) {
+  return commitRules((current) => {
+    const index = current.rules.findIndex((r) => r.id === id);
+    if (index === -1) throw notFound(`rule "${id}" not found`);
+    const updated = { ...rule, id };
+    return {
+      rules: current.rules.map((r, i) => (i === index ? updated : r)),
+      audit: { action: 'update', rule_id: id, before: current.rules[index], after: updated },
+    };
+  }, meta);
+}
+
+/**
+ * Delete a rule. Throws 404 for unknown ids.
+ */
+export function deleteRule(id, meta) {
+  return commitRules((current) => {
+    const rule = current.rules.find((r) => r.id === id);
+    if (!rule) throw notFound(`rule "${id}" not found`);
+    return {
+      rules: current.rules.filter((r) => r.id !== id),
+      audit: { action: 'delete', rule_id: id, before: rule, after: null },
+    };
+  }, meta);
+}
+
+/**
+ * Stored snapshot of a version. Throws 404 when there is none.
+ */
+export async function readRuleVersion(version) {
+  try {
+    return JSON.parse(await readFile(snapshotFile(version), 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw notFound(`version ${version} not found`);
+    throw err;
+  }
+}
+
+/**
+ * Publish the rules of an earlier version as a new version.
+ */
+export function rollbackRules(version, meta) {
+  return commitRules(async (current) => {
+    const snapshot = await readRuleVersion(version);
+    return {
+      rules: snapshot.rules,
+      audit: { action: 'rollback', rule_id: null, from_version: current.version, to_version: version },
+    };
+  }, meta);
+}
+
+/**
+ * Audit entries, newest first. `ruleId` narrows to one rule's changes.
+ */
+export async function readAuditLog({ limit = 50, ruleId = null } = {}) {
+  let raw;
+  try {
+    raw = await readFile(AUDIT_FILE, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return raw
+    .split('\n')
+    .filter((line) => line.trim() !== '')
+    .map((line) => JSON.parse(line))
+    .filter((entry) => ruleId == null || entry.rule_id === ruleId)
+    .reverse()
+    .slice(0, limit);
+}
+
+// ── Drafts ──
+
+const draftFile = (id) => resolve(DRAFTS_DIR, `${id}.json`);
+
+/**
+ * Stored draft. Throws 404 when there is none.
+ */
+export async function readDraft(id) {
+  try {
+    return JSON.parse(await readFile(draftFile(id), 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw notFound(`draft "${id}" not found`);
+    throw err;
+  }
+}
+
+/**
+ * Draft summaries, most recently updated first.
+ */
+export async function listDrafts() {
+  let files;
+  try {
+    files = await readdir(DRAFTS_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const drafts = await Promise.all(
+    files.filter((f) => f.endsWith('.json')).map((f) => readDraft(f.slice(0, -'.json'.length)))
+  );
+  return drafts
+    .map(({ rules, ...draft }) => ({ ...draft, rules: rules.length }))
+    .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+}
+
+/**
+ * Create a draft from the given rules, or from a copy of the live rules.
+ * Drafts are validated like the live file (400 on invalid rules).
+ */
+export async function createDraft({ name = null, rules = null } = {}, { claimedActor = null } = {}) {
+  const live = await readRuleFile();
+  const now = new Date().toISOString();
+  const draft = {
+    id: randomUUID().slice(0, 8),
+    name,
+    base_version: live.version,
+    created_at: now,
+    updated_at: now,
+    claimed_actor: claimedActor,
+    rules: rules ?? live.rules,
+  };
+  compileMerchandisingRules(draft);
+  await mkdir(DRAFTS_DIR, { recursive: true });
+  await writeJsonAtomic(draftFile(draft.id), draft);
+  return draft;
+}
+
+/**
+ * Replace a draft's rules and/or name.
+ */
+export async function updateDraft(id, { name, rules }, { claimedActor = null } = {}) {
+  const draft = await readDraft(id);
+  const updated = {
+    ...draft,
+    name: name !== undefined ? name : draft.name,
+    rules: rules ?? draft.rules,
+    updated_at: new Date().toISOString(),
+    claimed_actor: claimedActor,
+  };
+  compileMerchandisingRules(updated);
+  await writeJsonAtomic(draftFile(id), updated);
+  return updated;
+}
+
+export async function deleteDraft(id) {
+  await readDraft(id);
+  await unlink(draftFile(id));
+}
+
+/**
+ * Compiled draft rules for a preview request (see resolveMerchandising).
+ */
+export async function loadDraftRules(id) {
+  const draft = await readDraft(id);
+  return compileMerchandisingRules({ version: `draft:${id}`, rules: draft.rules });
+}
+
+/**
+ * Publish a draft as the next live version in one write (see commitRules), then
+ * delete it. Fails with 409 when the live rules changed since the draft was created,
+ * unless `force` — publishing would silently revert those changes.
+ */
+export async function publishDraft(id, { force = false } = {}, meta = {}) {
+  const draft = await readDraft(id);
+  const result = await commitRules((current) => {
+    if (current.version !== draft.base_version && !force) {
+      throw conflict(`live rules changed since draft "${id}" was created (version ${draft.base_version} → ${current.version})`);
+    }
+    const changed = diffRules(current.rules, draft.rules);
+    return {
+      rules: draft.rules,
+      audit: {
+        action: 'publish',
+        rule_id: null,
+        draft_id: id,
+        changed_rules: [...new Set(changed.map((rule) => rule.id))],
+      },
+    };
+  }, meta);
+  await unlink(draftFile(id));
+  return result;
+}
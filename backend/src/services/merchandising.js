@@ -1,103 +1,493 @@
 /**
- * Merchandising service — manages pinned and blacklisted products.
- * Loads from JSON files and watches for changes.
+ * Merchandising rules engine — pins, blacklists, boosts/buries, redirects and banners
+ * for queries matching rule conditions. Loads from data/merchandising/rules.json and
+ * can be reloaded via the admin API.
+ *
+ * Rule shape:
+ *   id          unique rule id
+ *   name        optional description
+ *   priority    higher is evaluated first (default 0); ties go to the rule listed first
+ *   enabled     false keeps a rule in the file without applying it (default true)
+ *   start, end  optional ISO dates — applies from start (inclusive) until end (exclusive)
+ *   stop        true: once this rule matches, lower-priority rules are skipped
+ *   conditions  all must match (at least one required):
+ *                 { type: 'exact' | 'prefix' | 'contains' | 'regex', value }
+ *                 { type: 'intent', value: 'BRAND' | ['BRAND', 'MODEL'] }
+ *               matched against the lowercase query with single spaces; prefix and contains
+ *               match whole words ("canon eos r5" matches "canon eos r5 body", not "canon eos r50")
+ *   actions:
+ *     { type: 'pin', products: [ids], position? }       shown at position (1-based, default 1) and
+ *                                                       the following slots, in this order
+ *     { type: 'blacklist', products: [ids] }            excluded in the ES query
+ *     { type: 'boost' | 'bury', field, value, factor }  function_score weight for products whose
+ *                                                       field (brand, category, condition, availability,
+ *                                                       compatible_mounts, params.*) equals value
+ *     { type: 'redirect', url }                         returned as `redirect`, the client navigates
+ *     { type: 'banner', title, text?, image?, url? }    returned as `banner`
+ *
+ * Conflict resolution, walking matched rules from the highest priority down:
+ *   - redirect, banner: the first rule that sets one wins
+ *   - boost/bury on the same field and value: the first rule wins; different targets stack
+ *   - pin vs blacklist of the same product: the first rule wins
+ *   - pins of several rules that claim the same slot: the later pin takes the next free slot
+ *
+ * Validity windows are checked per request; a cached response can outlive a window
+ * boundary by up to its cache TTL.
  */
 
+import { readFileSync } from 'fs';
 import { readFile } from 'fs/promises';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { classifyIntent } from './intent-classifier.js';
+import { formatProduct } from '../utils/response-formatter.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = resolve(__dirname, '..', '..', '..', 'data', 'merchandising');
+export const RULES_FILE = resolve(__dirname, '..', '..', '..', 'data', 'merchandising', 'rules.json');
 
-let pinnedRules = {};
-let blacklistedRules = {};
+const CONDITION_TYPES = ['exact', 'prefix', 'contains', 'regex', 'intent'];
+const INTENT_TYPES = ['EAN', 'SKU', 'PRICE', 'MODEL', 'BRAND', 'COMPOUND', 'PARAMETRIC', 'CATEGORY', 'GENERAL'];
+const ACTION_TYPES = ['pin', 'blacklist', 'boost', 'bury', 'redirect', 'banner'];
+// Keyword fields a boost/bury can target (params.* covers spec attributes)
+const BOOST_FIELDS = ['brand', 'category', 'condition', 'availability', 'compatible_mounts'];
+const DEFAULT_FACTORS = { boost: 2, bury: 0.2 };
 
-async function loadJsonFile(filePath) {
-  try {
-    const raw = await readFile(filePath, 'utf-8');
-    return JSON.parse(raw);
-  } catch {
-    return {};
-  }
+let ruleSet = null;
+
+const isPlainObject = (value) => value != null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Lowercase, trimmed, single-spaced query — the form rule conditions are matched against.
+ */
+export function normalizeRuleQuery(query) {
+  return String(query ?? '').toLowerCase().trim().replace(/\s+/g, ' ');
 }
 
-export async function loadMerchandisingRules() {
-  pinnedRules = await loadJsonFile(resolve(DATA_DIR, 'pinned.json'));
-  blacklistedRules = await loadJsonFile(resolve(DATA_DIR, 'blacklisted.json'));
+function validateCondition(condition, path, errors) {
+  if (!isPlainObject(condition) || !CONDITION_TYPES.includes(condition.type)) {
+    errors.push(`${path}.type must be one of ${CONDITION_TYPES.join(', ')}`);
+    return;
+  }
+  if (condition.type === 'intent') {
+    const values = [condition.value].flat();
+    if (values.length === 0 || values.some((v) => !INTENT_TYPES.includes(v))) {
+      errors.push(`${path}.value must be an intent type or a list of ${INTENT_TYPES.join(', ')}`);
+    }
+    return;
+  }
+  if (!isNonEmptyString(condition.value)) {
+    errors.push(`${path}.value must be a non-empty string`);
+    return;
+  }
+  if (condition.type === 'regex') {
+    try {
+      new RegExp(condition.value, 'iu');
+    } catch (err) {
+      errors.push(`${path}.value is not a valid regex: ${err.message}`);
+    }
+  } else if (condition.value !== normalizeRuleQuery(condition.value)) {
+    errors.push(`${path}.value must be lowercase with single spaces`);
+  }
 }
 
-// Load on import
-loadMerchandisingRules();
+function validateAction(action, path, errors) {
+  if (!isPlainObject(action) || !ACTION_TYPES.includes(action.type)) {
+    errors.push(`${path}.type must be one of ${ACTION_TYPES.join(', ')}`);
+    return;
+  }
+  switch (action.type) {
+    case 'pin':
+    case 'blacklist':
+      if (!Array.isArray(action.products) || action.products.length === 0 || !action.products.every(isNonEmptyString)) {
+        errors.push(`${path}.products must be a non-empty array of product ids`);
+      }
+      if (action.type === 'pin' && action.position != null && !(Number.isInteger(action.position) && action.position >= 1)) {
+        errors.push(`${path}.position must be an integer >= 1`);
+      }
+      break;
+    case 'boost':
+    case 'bury': {
+      if (!BOOST_FIELDS.includes(action.field) && !/^params\.\w+$/.test(action.field ?? '')) {
+        errors.push(`${path}.field must be one of ${BOOST_FIELDS.join(', ')} or params.<name>`);
+      }
+      const values = [action.value].flat();
+      if (values.length === 0 || !values.every(isNonEmptyString)) {
+        errors.push(`${path}.value must be a non-empty string or array of strings`);
+      }
+      const factor = action.factor ?? DEFAULT_FACTORS[action.type];
+      if (typeof factor !== 'number' || (action.type === 'boost' ? factor <= 1 : factor <= 0 || factor >= 1)) {
+        errors.push(`${path}.factor must be ${action.type === 'boost' ? 'a number > 1' : 'a number between 0 and 1'}`);
+      }
+      break;
+    }
+    case 'redirect':
+      if (!isNonEmptyString(action.url) || !/^(https?:\/\/|\/(?!\/))/.test(action.url)) {
+        errors.push(`${path}.url must be an absolute http(s) URL or a path starting with /`);
+      }
+      break;
+    case 'banner':
+      if (!isNonEmptyString(action.title)) errors.push(`${path}.title must be a non-empty string`);
+      for (const key of ['text', 'image', 'url']) {
+        if (action[key] != null && typeof action[key] !== 'string') errors.push(`${path}.${key} must be a string`);
+      }
+      break;
+  }
+}
 
 /**
- * Get product IDs pinned for a given query.
- * Matches if query starts with or equals a pinned key.
+ * Validate a raw rule file. Returns a list of human-readable errors (empty = valid).
  */
-export function getPinnedProducts(query) {
-  const q = (query || '').toLowerCase().trim();
-  for (const [key, productIds] of Object.entries(pinnedRules)) {
-    if (q === key || q.startsWith(key + ' ')) {
-      return productIds;
+export function validateMerchandisingRules(config) {
+  if (!isPlainObject(config) || !Array.isArray(config.rules)) {
+    return ['config must be an object with a rules array'];
+  }
+
+  const errors = [];
+  const ids = new Set();
+  config.rules.forEach((rule, i) => {
+    const path = `rules[${i}]`;
+    if (!isPlainObject(rule)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(rule.id)) errors.push(`${path}.id must be a non-empty string`);
+    else if (ids.has(rule.id)) errors.push(`${path}.id "${rule.id}" is not unique`);
+    ids.add(rule.id);
+
+    if (rule.priority != null && !Number.isFinite(rule.priority)) errors.push(`${path}.priority must be a number`);
+    for (const key of ['enabled', 'stop']) {
+      if (rule[key] != null && typeof rule[key] !== 'boolean') errors.push(`${path}.${key} must be a boolean`);
+    }
+    for (const key of ['start', 'end']) {
+      if (rule[key] != null && Number.isNaN(Date.parse(rule[key]))) errors.push(`${path}.${key} must be an ISO date`);
+    }
+    if (rule.start != null && rule.end != null && Date.parse(rule.start) >= Date.parse(rule.end)) {
+      errors.push(`${path}.start must be before end`);
+    }
+
+    if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+      errors.push(`${path}.conditions must be a non-empty array`);
+    } else {
+      rule.conditions.forEach((c, j) => validateCondition(c, `${path}.conditions[${j}]`, errors));
+    }
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+      errors.push(`${path}.actions must be a non-empty array`);
+    } else {
+      rule.actions.forEach((a, j) => validateAction(a, `${path}.actions[${j}]`, errors));
+    }
+  });
+  return errors;
+}
+
+function compileCondition({ type, value }) {
+  switch (type) {
+    case 'exact':
+      return ({ query }) => query === value;
+    case 'prefix':
+      return ({ query }) => query === value || query.startsWith(value + ' ');
+    case 'contains':
+      return ({ query }) => ` ${query} `.includes(` ${value} `);
+    case 'regex': {
+      const pattern = new RegExp(value, 'iu');
+      return ({ query }) => pattern.test(query);
+    }
+    case 'intent': {
+      const types = [value].flat();
+      return ({ intentType }) => types.includes(intentType);
     }
   }
-  return [];
 }
 
 /**
- * Get product IDs blacklisted for a given query.
+ * Validate and compile a rule file into the structure resolveMerchandising() walks:
+ * enabled rules sorted by priority (stable, so ties keep file order).
+ * Throws a 400 error listing every problem.
  */
-export function getBlacklistedProducts(query) {
-  const q = (query || '').toLowerCase().trim();
-  for (const [key, productIds] of Object.entries(blacklistedRules)) {
-    if (q === key || q.startsWith(key + ' ')) {
-      return productIds;
-    }
+export function compileMerchandisingRules(config) {
+  const errors = validateMerchandisingRules(config);
+  if (errors.length > 0) {
+    const err = new Error(`Invalid merchandising rules: ${errors.join('; ')}`);
+    err.statusCode = 400;
+    throw err;
   }
-  return [];
+
+  const rules = config.rules
+    .filter((rule) => rule.enabled !== false)
+    .map((rule) => ({
+      id: rule.id,
+      priority: rule.priority ?? 0,
+      stop: rule.stop === true,
+      start: rule.start != null ? Date.parse(rule.start) : null,
+      end: rule.end != null ? Date.parse(rule.end) : null,
+      conditions: rule.conditions.map(compileCondition),
+      actions: rule.actions,
+    }))
+    .sort((a, b) => b.priority - a.priority);
+
+  return {
+    version: config.version ?? null,
+    loadedAt: new Date().toISOString(),
+    total: config.rules.length,
+    rules,
+  };
+}
+
+// Loaded synchronously on import, like the classifier dictionaries: an invalid
+// rule file fails startup instead of silently serving unmerchandised results.
+ruleSet = compileMerchandisingRules(JSON.parse(readFileSync(RULES_FILE, 'utf-8')));
+
+function isActive(rule, time) {
+  return (rule.start == null || time >= rule.start) && (rule.end == null || time < rule.end);
 }
 
 /**
- * Apply merchandising rules to a product list.
- * - Removes blacklisted products
- * - Inserts pinned products at the top with is_pinned flag
+ * Resolve every rule matching a query into one merchandising plan.
+ * `rules` defaults to the loaded rule set (a compiled draft can be passed instead),
+ * `now` to the current time.
  */
-export function applyMerchandising(products, query, allProductsById = {}) {
-  const blacklisted = new Set(getBlacklistedProducts(query));
-  const pinnedIds = getPinnedProducts(query);
+export function resolveMerchandising(query, intent = null, { rules = ruleSet, now = new Date() } = {}) {
+  const context = { query: normalizeRuleQuery(query), intentType: intent?.type ?? null };
+  const time = now.getTime();
 
-  // Remove blacklisted
-  let filtered = products.filter((p) => !blacklisted.has(p.id));
+  const plan = { rules: [], pinned: [], blacklisted: [], boosts: [], redirect: null, banner: null };
+  const productDecisions = new Map();
+  const boostTargets = new Set();
+  const takenSlots = new Set();
 
-  // Add pinned products at the top
-  if (pinnedIds.length > 0) {
-    const pinnedProducts = [];
-    const existingIds = new Set(filtered.map((p) => p.id));
+  for (const rule of rules.rules) {
+    if (!isActive(rule, time) || !rule.conditions.every((matches) => matches(context))) continue;
+    plan.rules.push(rule.id);
 
-    for (const pid of pinnedIds) {
-      if (allProductsById[pid]) {
-        pinnedProducts.push({ ...allProductsById[pid], is_pinned: true });
-        existingIds.add(pid);
-      } else {
-        // Product already in results — move to top and flag
-        const idx = filtered.findIndex((p) => p.id === pid);
-        if (idx >= 0) {
-          const [product] = filtered.splice(idx, 1);
-          pinnedProducts.push({ ...product, is_pinned: true });
+    for (const action of rule.actions) {
+      switch (action.type) {
+        case 'pin': {
+          let slot = action.position ?? 1;
+          for (const id of action.products) {
+            if (productDecisions.has(id)) continue;
+            productDecisions.set(id, 'pin');
+            while (takenSlots.has(slot)) slot++;
+            takenSlots.add(slot);
+            plan.pinned.push({ id, position: slot });
+          }
+          break;
+        }
+        case 'blacklist':
+          for (const id of action.products) {
+            if (productDecisions.has(id)) continue;
+            productDecisions.set(id, 'blacklist');
+            plan.blacklisted.push(id);
+          }
+          break;
+        case 'boost':
+        case 'bury': {
+          const values = [action.value].flat();
+          const target = `${action.field}=${[...values].sort().join('|')}`;
+          if (boostTargets.has(target)) break;
+          boostTargets.add(target);
+          plan.boosts.push({
+            rule: rule.id,
+            field: action.field,
+            values,
+            factor: action.factor ?? DEFAULT_FACTORS[action.type],
+          });
+          break;
         }
+        case 'redirect':
+          plan.redirect ??= { url: action.url, rule: rule.id };
+          break;
+        case 'banner':
+          plan.banner ??= {
+            title: action.title,
+            text: action.text ?? null,
+            image: action.image ?? null,
+            url: action.url ?? null,
+            rule: rule.id,
+          };
+          break;
       }
     }
 
-    filtered = [...pinnedProducts, ...filtered];
+    if (rule.stop) break;
+  }
+
+  plan.pinned.sort((a, b) => a.position - b.position);
+  return plan;
+}
+
+/**
+ * Plan without pins — for result lists where fixed slots make no sense
+ * (filtered, non-relevance sort, cursor pages). Pinned products then rank organically.
+ */
+export function withoutPins(plan) {
+  return { ...plan, pinned: [] };
+}
+
+/**
+ * Push a plan's blacklist (must_not) and boosts/buries (function_score weights) into
+ * a query built by wrapWithFunctionScore(), so pages stay full and ordering is done by ES.
+ * Pinned products are excluded as well — insertPinnedProducts() puts them in their slots.
+ */
+export function applyMerchandisingToQuery(query, plan) {
+  const excluded = [...plan.blacklisted, ...plan.pinned.map((pin) => pin.id)];
+  if (excluded.length === 0 && plan.boosts.length === 0) return query;
+
+  const { function_score: functionScore } = query;
+  return {
+    function_score: {
+      ...functionScore,
+      query: excluded.length > 0
+        ? { bool: { must: [functionScore.query], must_not: [{ terms: { id: excluded } }] } }
+        : functionScore.query,
+      functions: [
+        ...functionScore.functions,
+        ...plan.boosts.map(({ field, values, factor }) => ({
+          filter: { terms: { [field]: values } },
+          weight: factor,
+        })),
+      ],
+    },
+  };
+}
+
+/**
+ * Fetch the plan's pinned products with one mget. Pins whose product is not in the
+ * index are dropped; the rest keep their slots: [{ id, position, product }].
+ */
+export async function fetchPinnedProducts(es, index, plan) {
+  if (plan.pinned.length === 0) return [];
+  const { docs } = await es.mget({ index, body: { ids: plan.pinned.map((pin) => pin.id) } });
+  const found = new Map(docs.filter((doc) => doc.found).map((doc) => [doc._id, doc]));
+  return plan.pinned
+    .filter((pin) => found.has(pin.id))
+    .map((pin) => ({ ...pin, product: { ...formatProduct(found.get(pin.id)), is_pinned: true } }));
+}
+
+/**
+ * Organic from/size for a page of `size` results starting at `from`, when pinned
+ * products (excluded from the ES query) take their slots in the combined list:
+ * pins before the page shift organic results back, pins on the page take their room.
+ */
+export function pinnedPageWindow(pins, from, size) {
+  const before = pins.filter((pin) => pin.position <= from).length;
+  const onPage = pins.filter((pin) => pin.position > from && pin.position <= from + size).length;
+  return { from: from - before, size: size - onPage };
+}
+
+/**
+ * Merge one page of organic results with the pinned products whose slots fall on it.
+ * A pin past the end of the list moves up to right after the last result, so short
+ * result lists still show it — without gaps and without repeating it on later pages.
+ */
+export function insertPinnedProducts(products, pins, { from = 0, size, organicTotal }) {
+  const slots = new Map();
+  pins.forEach((pin, i) => {
+    const slot = Math.min(pin.position, organicTotal + i + 1);
+    if (slot > from && slot <= from + size) slots.set(slot, pin.product);
+  });
+  if (slots.size === 0) return products;
+
+  const page = [];
+  let next = 0;
+  for (let slot = from + 1; slot <= from + size; slot++) {
+    if (slots.has(slot)) page.push(slots.get(slot));
+    else if (next < products.length) page.push(products[next++]);
   }
+  return page;
+}
 
-  return filtered;
+/**
+ * Remove a plan's blacklisted products from a list. Needed only for results that did
+ * not come from the merchandised query (zero-results fallbacks).
+ */
+export function removeBlacklisted(products, plan) {
+  const blacklisted = new Set(plan.blacklisted);
+  return products.filter((p) => !blacklisted.has(p.id));
+}
+
+/**
+ * Describe what a plan did to a result page (debug mode).
+ * pinned lists pins shown on this page, pinned_missing pins whose product is not in the index.
+ */
+export function explainMerchandising(products, plan, pins = []) {
+  const fetched = new Set(pins.map((pin) => pin.id));
+  return {
+    rules: plan.rules,
+    pinned: products.filter((p) => p.is_pinned).map((p) => p.id),
+    pinned_missing: plan.pinned.filter((pin) => !fetched.has(pin.id)).map((pin) => pin.id),
+    blacklisted: plan.blacklisted,
+    boosts: plan.boosts,
+    redirect: plan.redirect,
+    banner: plan.banner,
+  };
+}
+
+/**
+ * Rules added, removed or edited between two rule lists. Edited rules are returned in
+ * both forms — cached responses can reflect the old one, new requests the new one.
+ */
+export function diffRules(before, after) {
+  const beforeById = new Map(before.map((rule) => [rule.id, JSON.stringify(rule)]));
+  const afterById = new Map(after.map((rule) => [rule.id, JSON.stringify(rule)]));
+  return [
+    ...before.filter((rule) => afterById.get(rule.id) !== beforeById.get(rule.id)),
+    ...after.filter((rule) => beforeById.get(rule.id) !== afterById.get(rule.id)),
+  ];
+}
+
+/**
+ * Predicate: can a query match any of the given (raw) rules? Used to find cached
+ * responses a rule change affects. `enabled` and validity windows are ignored, since
+ * a cached response may predate either; queries are classified only for intent conditions.
+ */
+export function compileRuleQueryMatcher(rules) {
+  const conditionSets = rules.map((rule) => rule.conditions.map(compileCondition));
+  return (query) => {
+    let intentType;
+    const context = {
+      query: normalizeRuleQuery(query),
+      get intentType() {
+        intentType ??= classifyIntent(query).type;
+        return intentType;
+      },
+    };
+    return conditionSets.some((conditions) => conditions.every((matches) => matches(context)));
+  };
+}
+
+/**
+ * Summary of the loaded rule set (for admin API).
+ * `active` counts enabled rules inside their validity window right now.
+ */
+export function describeMerchandisingRules(now = new Date()) {
+  const actions = {};
+  for (const rule of ruleSet.rules) {
+    for (const { type } of rule.actions) actions[type] = (actions[type] || 0) + 1;
+  }
+  return {
+    version: ruleSet.version,
+    loadedAt: ruleSet.loadedAt,
+    rules: ruleSet.total,
+    enabled: ruleSet.rules.length,
+    active: ruleSet.rules.filter((rule) => isActive(rule, now.getTime())).length,
+    actions,
+  };
 }
 
 /**
  * Reload merchandising rules (for admin API).
+ * Throws on a missing/invalid file — the previously loaded rules stay active.
  */
 export async function reloadRules() {
-  await loadMerchandisingRules();
-  return { pinned: Object.keys(pinnedRules).length, blacklisted: Object.keys(blacklistedRules).length };
+  ruleSet = compileMerchandisingRules(JSON.parse(await readFile(RULES_FILE, 'utf-8')));
+  return describeMerchandisingRules();
+}
+
+/**
+ * Activate a rule file that was just written by the admin API, without re-reading it.
+ * Throws on invalid rules — the previously loaded rules stay active.
+ */
+export function activateRules(config) {
+  ruleSet = compileMerchandisingRules(config);
+  return describeMerchandisingRules();
 }
@@ -1,13 +1,72 @@
 /**
  * Parameter extractor — extracts structured photo-video parameters from query text.
  * Used to add filters to ES queries when parametric intent is detected.
+ *
+ * Values are either exact (→ term filter) or a range object { gte, lte } (→ range filter)
+ * for specs where the product only has to satisfy the requested value, e.g. a tripod
+ * with 8 kg max payload matches "statyw do 2 kg" and an f/1.8 lens matches "f/2".
+ * Qualitative phrases ("jasny", "szeroki kąt") map to the same ranges.
  */
 
+import { toCanonicalUnit, parseDecimal } from '../utils/units.js';
+import { getClassifierDictionaries, normalizeMount } from './classifier-config.js';
+
+// "do"/"max" in front of a battery value means an upper limit (airline rule: "do 100 Wh")
+const UPPER_LIMIT_PATTERN = /^(?:do|max\.?|maks\.?|poniżej)$/i;
+
+// Physical size matches within ±10% — softbox "90 cm" is sold as 85, 90 or 95 cm
+const SIZE_TOLERANCE = 0.1;
+
+// Tripods, light stands: a length is the working height, not the product size
+const HEIGHT_CONTEXT = /statyw|monopod|stojak|stand|tripod/i;
+
+// Supports (tripods, heads, gimbals): "kg" is the max payload. Shared with the feed
+// import, which fills params.max_load_kg only for these — elsewhere "2 kg" is a weight.
+export const SUPPORT_CONTEXT = /statyw|monopod|głowic|gimbal|stojak|stand|tripod|udźwig/i;
+
+// Qualitative lens phrases → spec ranges. "Jasny" is about lenses, not lamps or screens.
+const BRIGHT_APERTURE = 2.0;
+const VERY_BRIGHT_APERTURE = 1.4;
+const WIDE_ANGLE_FOCAL = 24;
+const ULTRA_WIDE_FOCAL = 16;
+const TELE_FOCAL = 135;
+const NOT_LENS_CONTEXT = /lamp|światł|swiatl|led|panel|ekran|monitor|wizjer|softbox/i;
+
+// Qualitative extractors come first and later matches win: an explicit value overrides
+// a phrase ("jasny 35mm f/1.4"), "bardzo jasny" overrides "jasny"
 const EXTRACTORS = [
+  {
+    name: 'bright',
+    pattern: /\bjasn\w*/i,
+    extract: () => ({ 'params.aperture_min': { lte: BRIGHT_APERTURE } }),
+    excludePattern: NOT_LENS_CONTEXT,
+  },
+  {
+    name: 'very_bright',
+    pattern: /\bbardzo\s+jasn\w*/i,
+    extract: () => ({ 'params.aperture_min': { lte: VERY_BRIGHT_APERTURE } }),
+    excludePattern: NOT_LENS_CONTEXT,
+  },
+  {
+    name: 'wide_angle',
+    pattern: /\bszerok\w*\s*kąt\w*|\bszerokokątn\w*/i,
+    extract: () => ({ 'params.focal_length_min': { lte: WIDE_ANGLE_FOCAL } }),
+  },
+  {
+    name: 'ultra_wide',
+    pattern: /\bultra\s*szerok\w*/i,
+    extract: () => ({ 'params.focal_length_min': { lte: ULTRA_WIDE_FOCAL } }),
+  },
+  {
+    name: 'tele',
+    pattern: /\bteleobiektyw\w*|\btele\b/i,
+    extract: () => ({ 'params.focal_length_max': { gte: TELE_FOCAL } }),
+  },
   {
     name: 'aperture',
-    pattern: /f\/(\d+\.?\d*)/i,
-    extract: (m) => ({ 'params.aperture': `f/${m[1]}` }),
+    pattern: /f\/(\d+(?:[.,]\d+)?)/i,
+    // At least this bright: the lens' widest aperture (f-number at the wide end) ≤ requested
+    extract: (m) => ({ 'params.aperture_min': { lte: parseDecimal(m[1]) } }),
   },
   {
     name: 'focal_range',
@@ -19,7 +78,8 @@ const EXTRACTORS = [
   },
   {
     name: 'focal_single',
-    pattern: /\b(\d+)\s*mm\b/i,
+    // Not the upper end of a range — "24-70mm" is focal_range, not 70mm
+    pattern: /(?<![\d-–])\b(\d+)\s*mm\b/i,
     extract: (m) => ({
       'params.focal_length_min': parseInt(m[1], 10),
       'params.focal_length_max': parseInt(m[1], 10),
@@ -54,8 +114,10 @@ const EXTRACTORS = [
   },
   {
     name: 'mount',
-    pattern: /\b(RF|EF|FE|E-mount|Z-mount|X-mount|L-mount|MFT)\b/i,
-    extract: (m) => ({ 'params.mount': m[1].toUpperCase() }),
+    // Aliases from the classifier dictionaries ("FE", "sony e", "E-mount" → "Sony E"),
+    // filtered on compatible_mounts like the mount facet
+    pattern: () => new RegExp(getClassifierDictionaries().mountPattern.source, 'iu'),
+    extract: (m) => ({ compatible_mounts: normalizeMount(m[1]) }),
   },
   {
     name: 'filter_diameter',
@@ -69,11 +131,62 @@ const EXTRACTORS = [
     pattern: /(\d+(?:\.\d+)?)\s*(?:MP|Mpx|megapiksel)/i,
     extract: (m) => ({ 'params.megapixels': parseFloat(m[1]) }),
   },
+  {
+    name: 'storage_capacity',
+    pattern: /\b(\d+(?:[.,]\d+)?)\s*(GB|TB)\b/i,
+    extract: (m) => ({ 'params.storage_gb': toCanonicalUnit(m[1], m[2]) }),
+  },
+  {
+    name: 'payload',
+    pattern: /\b(\d+(?:[.,]\d+)?)\s*(kg)\b/i,
+    // Max payload must be at least the requested weight
+    extract: (m) => ({ 'params.max_load_kg': { gte: toCanonicalUnit(m[1], m[2]) } }),
+    contextPattern: SUPPORT_CONTEXT,
+  },
+  {
+    name: 'battery_mah',
+    pattern: /(?:\b(do|max\.?|maks\.?|poniżej|min\.?|od|powyżej)\s*)?\b(\d+(?:[.,]\d+)?)\s*mAh\b/i,
+    extract: (m) => ({ 'params.battery_mah': batteryRange(m[1], toCanonicalUnit(m[2], 'mah')) }),
+  },
+  {
+    name: 'battery_wh',
+    pattern: /(?:\b(do|max\.?|maks\.?|poniżej|min\.?|od|powyżej)\s*)?\b(\d+(?:[.,]\d+)?)\s*Wh\b/i,
+    extract: (m) => ({ 'params.battery_wh': batteryRange(m[1], toCanonicalUnit(m[2], 'wh')) }),
+  },
+  {
+    name: 'height',
+    pattern: /\b(\d+(?:[.,]\d+)?)\s*(cm|m)\b/i,
+    // Stand or tripod must reach at least the requested height
+    extract: (m) => ({ 'params.max_height_cm': { gte: toCanonicalUnit(m[1], m[2]) } }),
+    contextPattern: HEIGHT_CONTEXT,
+  },
+  {
+    name: 'size',
+    pattern: /\b(\d+(?:[.,]\d+)?)\s*(cm)\b/i,
+    extract: (m) => {
+      const size = toCanonicalUnit(m[1], m[2]);
+      return {
+        'params.size_cm': {
+          gte: Math.round(size * (1 - SIZE_TOLERANCE)),
+          lte: Math.round(size * (1 + SIZE_TOLERANCE)),
+        },
+      };
+    },
+    excludePattern: HEIGHT_CONTEXT,
+  },
 ];
 
+/**
+ * Battery capacity defaults to "at least"; "do"/"max" turns it into an upper limit.
+ */
+function batteryRange(qualifier, value) {
+  return qualifier && UPPER_LIMIT_PATTERN.test(qualifier) ? { lte: value } : { gte: value };
+}
+
 /**
  * Extract structured parameters from a query string.
- * Returns an object of field → value pairs suitable for ES bool.filter terms.
+ * Returns an object of field → value pairs: plain values become ES term filters,
+ * { gte, lte } objects become range filters.
  */
 export function extractParams(query) {
   const params = {};
@@ -89,7 +202,8 @@ export function extractParams(query) {
       continue;
     }
 
-    const match = extractor.pattern.exec(q);
+    const pattern = typeof extractor.pattern === 'function' ? extractor.pattern() : extractor.pattern;
+    const match = pattern.exec(q);
     if (match) {
       Object.assign(params, extractor.extract(match));
     }
@@ -100,16 +214,25 @@ export function extractParams(query) {
 
 /**
  * Strip extracted parameter patterns from query, leaving the "text" portion.
+ * `context` is the full query when stripping a fragment (category word already removed).
  */
-export function stripParams(query) {
+export function stripParams(query, context = query) {
   let q = query || '';
-  q = q.replace(/f\/\d+\.?\d*/gi, '');
+  q = q.replace(/f\/\d+(?:[.,]\d+)?/gi, '');
+  q = q.replace(/\b(?:bardzo\s+)?jasn\w*|\bultra\s*szerok\w*|\bszerok\w*\s*kąt\w*|\bszerokokątn\w*|\bteleobiektyw\w*|\btele\b/gi, '');
   q = q.replace(/\d+-\d+\s*mm/gi, '');
   q = q.replace(/\b\d+\s*mm\b/gi, '');
   q = q.replace(/\b\d+[kK]\b/g, '');
   q = q.replace(/\d+\s*fps/gi, '');
   q = q.replace(/\b(?:full\s*frame|pełna\s*klatka|ff|aps-?c|micro\s*4\/3|m43|mft)\b/gi, '');
-  q = q.replace(/\b(?:RF|EF|FE|E-mount|Z-mount|X-mount|L-mount|MFT)\b/gi, '');
+  q = q.replace(getClassifierDictionaries().mountPattern, '');
+  q = q.replace(/\b\d+(?:[.,]\d+)?\s*(?:GB|TB)\b/gi, '');
+  // Unit values with their qualifier: "do 2 kg", "min. 2000 mAh", "180 cm" ("2 m" only
+  // for stands, "kg" only for supports — elsewhere they are not extracted and stay as text)
+  const units = ['mAh', 'Wh', 'cm'];
+  if (SUPPORT_CONTEXT.test(context || '')) units.push('kg');
+  if (HEIGHT_CONTEXT.test(context || '')) units.push('m');
+  q = q.replace(new RegExp(String.raw`(?:\b(?:do|max\.?|maks\.?|poniżej|min\.?|od|powyżej|udźwig\w*)\s*)?\b\d+(?:[.,]\d+)?\s*(?:${units.join('|')})\b`, 'gi'), '');
   q = q.replace(/\s+/g, ' ').trim();
   return q;
 }
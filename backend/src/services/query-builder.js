@@ -4,37 +4,12 @@
  */
 
 import { extractParams, stripParams } from './param-extractor.js';
+import { normalizeModelKey, buildCompatibilityClauses } from './compatibility.js';
+import { getFacetProfile } from './facet-config.js';
+import { normalizeBrandCase, getClassifierDictionaries } from './classifier-config.js';
 
 const INDEX_NAME = process.env.INDEX_NAME || 'products';
 
-// Brand case normalization map — ES stores brands as keywords with specific casing.
-// Maps lowercase → ES keyword value. Brands not listed default to Title Case.
-const BRAND_CASE_MAP = {
-  dji: 'DJI',
-  nisi: 'NISI',
-  nanlite: 'NANLITE',
-  'b+w': 'B+W',
-  'gopro': 'GoPro',
-  'glareone': 'GlareOne',
-  'peak design': 'Peak Design',
-  'om system': 'OM System',
-  'easycover': 'EasyCover',
-  'blackmagic': 'Blackmagic',
-  'venus optics': 'Venus Optics',
-  'insta360': 'Insta360',
-};
-
-/**
- * Normalize brand string to match ES keyword casing.
- * "sony" → "Sony", "dji" → "DJI", "peak design" → "Peak Design"
- */
-function normalizeBrandCase(brand) {
-  const lower = brand.toLowerCase();
-  if (BRAND_CASE_MAP[lower]) return BRAND_CASE_MAP[lower];
-  // Default: capitalize first letter of each word
-  return lower.replace(/\b\w/g, (c) => c.toUpperCase());
-}
-
 // Field boost configuration for multi_match
 const NAME_FIELDS = [
   'name.exact^10',
@@ -71,10 +46,18 @@ const RELATED_CATEGORIES = [
 /**
  * Build _msearch body for autocomplete endpoint.
  * Returns array of header+body pairs for 4 sub-queries in a single HTTP request.
+ * Like buildSearchQuery, the sub-queries match `intent.searchText` (exclusion and
+ * price phrases stripped) and exclusions become must_not on the match sub-queries.
  */
-export function buildAutocompleteQuery(q, intent, limit = 5) {
+export function buildAutocompleteQuery(rawQuery, intent, limit = 5) {
   const bodies = [];
   const header = { index: INDEX_NAME };
+  // A query that is only a price phrase has no text left — match the raw query then
+  const q = intent.searchText || rawQuery;
+  const exclusionClauses = buildExclusionClauses(intent.exclusions || []);
+  const withExclusions = (query) => (
+    exclusionClauses.length > 0 ? { bool: { must: [query], must_not: exclusionClauses } } : query
+  );
 
   // Sub-query 1: Completion suggester → query suggestions
   bodies.push(header);
@@ -101,7 +84,7 @@ export function buildAutocompleteQuery(q, intent, limit = 5) {
   bodies.push(header);
   bodies.push({
     size: 0,
-    query: buildBaseMatchQuery(q, intent),
+    query: withExclusions(buildBaseMatchQuery(q, intent)),
     aggs: {
       categories: {
         terms: {
@@ -116,7 +99,7 @@ export function buildAutocompleteQuery(q, intent, limit = 5) {
   bodies.push(header);
   bodies.push({
     size: 0,
-    query: buildBaseMatchQuery(q, intent),
+    query: withExclusions(buildBaseMatchQuery(q, intent)),
     aggs: {
       brands: {
         terms: {
@@ -137,6 +120,7 @@ export function buildAutocompleteQuery(q, intent, limit = 5) {
         filter: [
           { term: { availability: 'in_stock' } },
         ],
+        ...(exclusionClauses.length > 0 ? { must_not: exclusionClauses } : {}),
       },
     },
     _source: [
@@ -153,10 +137,33 @@ export function buildAutocompleteQuery(q, intent, limit = 5) {
 
 /**
  * Build full search query with filters, pagination, sorting, facets.
+ *
+ * Facet filters (brand, category, availability, mount, price, param_*) go to post_filter
+ * so hits are narrowed without collapsing the facets (disjunctive faceting). Each facet
+ * aggregation is wrapped in a filter agg holding every active facet filter except its
+ * own — picking brand=Canon still shows the other brands with their counts. The bucket
+ * agg then lives under `facet` (see formatFacets).
+ *
+ * `facets` is the list of facet definitions from the facet profile (see facet-config.js).
+ *
+ * Cursor pagination: pass `pit` ({ id, keep_alive }) and, after the first page,
+ * `searchAfter` (sort values of the previous page's last hit). The sort is then
+ * always explicit — ES adds the _shard_doc tiebreaker to PIT searches — and
+ * facets are only computed on the first page.
+ *
+ * Exclusions ("-używany", "bez głowicy") come from the intent, or from `exclusions`
+ * when the caller builds its own intent (zero-results recovery), and are applied as
+ * must_not clauses. The text query is `intent.searchText` when the classifier
+ * stripped exclusions or price phrases from the raw query.
  */
-export function buildSearchQuery(q, intent, { filters = {}, page = 1, perPage = 20, sort = 'relevance' } = {}) {
+export function buildSearchQuery(rawQuery, intent, {
+  filters = {}, page = 1, perPage = 20, sort = 'relevance',
+  facets = getFacetProfile().facets, pit = null, searchAfter = null,
+  exclusions = intent.exclusions || [],
+} = {}) {
+  const q = intent.searchText ?? rawQuery;
   const from = (page - 1) * perPage;
-  const filterClauses = buildFilterClauses(filters);
+  const facetFilters = buildFacetFilters(filters);
   // COMPOUND handles its own param filters inside buildIntentQuery, skip here.
   // For all other intents, use params from intent (universally extracted) or extract on the fly.
   const params = intent.type === 'COMPOUND' ? {} : (intent.params || (intent.type === 'PARAMETRIC' ? extractParams(q) : {}));
@@ -170,28 +177,10 @@ export function buildSearchQuery(q, intent, { filters = {}, page = 1, perPage =
     query: {
       bool: {
         must: [baseQuery],
-        filter: [...filterClauses, ...paramFilters],
-      },
-    },
-    aggs: {
-      brands: { terms: { field: 'brand', size: 20 } },
-      categories: { terms: { field: 'category', size: 20 } },
-      availability_facet: { terms: { field: 'availability', size: 5 } },
-      mounts: { terms: { field: 'compatible_mounts', size: 15 } },
-      price_ranges: {
-        range: {
-          field: 'price',
-          ranges: [
-            { key: '0-500', to: 500 },
-            { key: '500-1000', from: 500, to: 1000 },
-            { key: '1000-3000', from: 1000, to: 3000 },
-            { key: '3000-5000', from: 3000, to: 5000 },
-            { key: '5000-10000', from: 5000, to: 10000 },
-            { key: '10000+', from: 10000 },
-          ],
-        },
+        filter: paramFilters,
       },
     },
+    aggs: buildFacetAggs(facetFilters, facets),
     _source: [
       'id', 'name', 'brand', 'category', 'category_path',
       'price', 'sale_price', 'is_promo', 'currency',
@@ -202,14 +191,96 @@ export function buildSearchQuery(q, intent, { filters = {}, page = 1, perPage =
     ],
   };
 
+  const exclusionClauses = buildExclusionClauses(exclusions);
+  if (exclusionClauses.length > 0) {
+    body.query.bool.must_not = exclusionClauses;
+  }
+
+  const postFilterClauses = Object.values(facetFilters);
+  if (postFilterClauses.length > 0) {
+    body.post_filter = { bool: { filter: postFilterClauses } };
+  }
+
   // Sorting
   if (sort !== 'relevance') {
     body.sort = buildSortClause(sort);
   }
 
+  // Cursor pagination (search_after + point-in-time)
+  if (pit) {
+    body.pit = pit;
+    body.from = 0;
+    body.sort = buildSortClause(sort);
+    if (searchAfter) {
+      body.search_after = searchAfter;
+      delete body.aggs;
+    }
+  }
+
   return body;
 }
 
+/**
+ * Merge the price bounds understood from the query (intent.minPrice/maxPrice)
+ * into request filters. Explicit price_min/price_max parameters (price slider) win.
+ * Returns a new filters object.
+ */
+export function applyIntentPriceFilters(filters, intent) {
+  const result = { ...filters };
+  if (intent.minPrice != null && result.price_min == null) result.price_min = intent.minPrice;
+  if (intent.maxPrice != null && result.price_max == null) result.price_max = intent.maxPrice;
+  return result;
+}
+
+/**
+ * Build an aggregations-only query for a facet profile.
+ * Used when the profile is picked after the main search (dominant category).
+ */
+export function buildFacetQuery(q, intent, { filters = {}, facets, exclusions } = {}) {
+  const body = buildSearchQuery(q, intent, { filters, facets, exclusions });
+  return {
+    size: 0,
+    query: body.query,
+    aggs: body.aggs,
+  };
+}
+
+// Excluded words that mean "no used products" — also exclude by condition,
+// since used listings don't always say so in the name
+const USED_EXCLUSION = /^(?:używ|uzyw|second)/i;
+
+// "bez głowicy" exclusions (see extractExclusions) — group 1 is the excluded term
+const WITHOUT_EXCLUSION = /^bez\s+(.+)$/i;
+
+/**
+ * Build must_not clauses for excluded terms.
+ * Every term is matched against the name (morfologik catches inflected forms:
+ * "-głowica" also excludes "głowicy"); known brands are also excluded by keyword.
+ * A "bez X" exclusion spares names containing the phrase itself — "Statyw ... bez
+ * głowicy" is exactly what the shopper asked for; "... z głowicą" is dropped.
+ */
+function buildExclusionClauses(exclusions) {
+  const clauses = [];
+  const { brands } = getClassifierDictionaries();
+  for (const exclusion of exclusions) {
+    const without = WITHOUT_EXCLUSION.exec(exclusion);
+    const term = without ? without[1] : exclusion;
+    const nameMatch = {
+      multi_match: { query: term, fields: ['name.folded', 'name.morfologik'], operator: 'and' },
+    };
+    clauses.push(without
+      ? { bool: { must: [nameMatch], must_not: [{ match_phrase: { 'name.folded': exclusion } }] } }
+      : nameMatch);
+    if (brands.includes(term)) {
+      clauses.push({ term: { brand: normalizeBrandCase(term) } });
+    }
+    if (USED_EXCLUSION.test(term)) {
+      clauses.push({ term: { condition: 'used' } });
+    }
+  }
+  return clauses;
+}
+
 /**
  * Build intent-specific base query.
  */
@@ -257,17 +328,21 @@ function buildIntentQuery(q, intent) {
       // When user wants accessories for a model (e.g. "eos r6 akumulator"):
       // Accessories often don't have the model name in their name - they use the battery code
       // (e.g. "Newell zamiennik LP-E6NH" with "Canon EOS R5 i R6" only in description).
-      // Strategy: require model match in name OR description, and boost accessory keyword matches.
+      // Strategy: require a compatibility graph edge (compatible_models / compatible_batteries)
+      // OR the model in name/description for products the graph doesn't cover yet,
+      // and boost accessory keyword matches.
       if (intent.wantsAccessories && modelQuery !== q) {
         // Extract the accessory keyword(s) by removing model part from full query
         const accessoryPart = q.replace(new RegExp(modelQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i'), '').trim();
         const accCategory = intent.accessoryCategory; // e.g. "Akumulatory" from "akumulator"
+        const modelKey = normalizeModelKey(modelQuery, intent.brand);
 
         const mustClauses = [
-          // Model must appear somewhere — name OR description
+          // Model must be compatible — graph edge, or mentioned in name OR description
           {
             bool: {
               should: [
+                ...buildCompatibilityClauses(modelKey),
                 { multi_match: { query: modelQuery, fields: ['name.folded^3', 'name.morfologik^2', 'name.prefix^1'], type: 'best_fields' } },
                 { match: { description: { query: modelQuery, operator: 'and' } } },
               ],
@@ -549,8 +624,9 @@ function buildIntentQuery(q, intent) {
     }
 
     case 'PRICE': {
+      // Query was only a price phrase ("do 500 zł", "tanie") — rank everything in range
       const textPart = intent.query;
-      if (!textPart || textPart === q) {
+      if (!textPart) {
         return { match_all: {} };
       }
       return {
@@ -610,41 +686,140 @@ function buildBaseMatchQuery(q, intent) {
   };
 }
 
+// Facet filter name (URL param) → ES keyword field
+const FACET_FILTER_FIELDS = {
+  brand: 'brand',
+  category: 'category',
+  availability: 'availability',
+  mount: 'compatible_mounts',
+  param_sensor_size: 'params.sensor_size',
+  param_aperture: 'params.aperture',
+  param_video_resolution: 'params.video_resolution',
+  param_video_fps: 'params.video_fps',
+  param_filter_diameter: 'params.filter_diameter',
+};
+
 /**
- * Convert URL filter params to ES filter clauses.
+ * Build a single facet filter clause.
+ * Multiple values within one facet are OR-ed (terms), a single value stays a plain term.
  */
-function buildFilterClauses(filters) {
-  const clauses = [];
-
-  if (filters.brand) {
-    clauses.push({ term: { brand: filters.brand } });
+function buildFacetClause(field, value) {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.length === 1) {
+    return { term: { [field]: values[0] } };
   }
-  if (filters.category) {
-    clauses.push({ term: { category: filters.category } });
-  }
-  if (filters.availability) {
-    clauses.push({ term: { availability: filters.availability } });
-  }
-  if (filters.mount) {
-    clauses.push({ term: { compatible_mounts: filters.mount } });
+  return { terms: { [field]: values } };
+}
+
+/**
+ * Convert URL facet filters to ES clauses, keyed by filter name.
+ * Facets are AND-ed with each other; values within a facet are OR-ed.
+ * Range filters (price, focal length, megapixels) count as facets too,
+ * so their sliders keep the full span of the result set.
+ */
+function buildFacetFilters(filters) {
+  const clauses = {};
+  for (const [name, field] of Object.entries(FACET_FILTER_FIELDS)) {
+    const value = filters[name];
+    if (value == null || (Array.isArray(value) && value.length === 0)) continue;
+    clauses[name] = buildFacetClause(field, value);
   }
   if (filters.price_min != null || filters.price_max != null) {
     const range = {};
     if (filters.price_min != null) range.gte = filters.price_min;
     if (filters.price_max != null) range.lte = filters.price_max;
-    clauses.push({ range: { price: range } });
+    clauses.price = { range: { price: range } };
+  }
+  if (filters.param_focal_min != null || filters.param_focal_max != null) {
+    // Lens must cover the requested focal range — same semantics as query-extracted params
+    const focalMin = filters.param_focal_min ?? filters.param_focal_max;
+    const focalMax = filters.param_focal_max ?? filters.param_focal_min;
+    clauses.param_focal = {
+      bool: {
+        filter: [
+          { range: { 'params.focal_length_min': { lte: focalMin } } },
+          { range: { 'params.focal_length_max': { gte: focalMax } } },
+        ],
+      },
+    };
+  }
+  if (filters.param_megapixels_min != null || filters.param_megapixels_max != null) {
+    const range = {};
+    if (filters.param_megapixels_min != null) range.gte = filters.param_megapixels_min;
+    if (filters.param_megapixels_max != null) range.lte = filters.param_megapixels_max;
+    clauses.param_megapixels = { range: { 'params.megapixels': range } };
   }
-
   return clauses;
 }
 
+/**
+ * Build the aggregation for a single facet definition.
+ */
+function buildFacetAgg(def) {
+  switch (def.type) {
+    case 'terms':
+      return {
+        terms: {
+          field: def.field,
+          size: def.size || 10,
+          ...(def.order === 'key' ? { order: { _key: 'asc' } } : {}),
+        },
+      };
+    case 'range':
+      return { range: { field: def.field, ranges: def.ranges } };
+    case 'span':
+      return {
+        filter: { exists: { field: def.min_field } },
+        aggs: {
+          min: { min: { field: def.min_field } },
+          max: { max: { field: def.max_field } },
+        },
+      };
+    case 'slider':
+      // variable_width_histogram clusters values, so memory cards and cinema cameras
+      // both get meaningful buckets instead of landing in a single fixed range.
+      return {
+        filter: { exists: { field: def.field } },
+        aggs: {
+          stats: { stats: { field: def.field } },
+          percentiles: { percentiles: { field: def.field, percents: [5, 25, 50, 75, 95] } },
+          histogram: { variable_width_histogram: { field: def.field, buckets: def.size || 8 } },
+        },
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build facet aggregations, each scoped by every active facet filter except its own.
+ * Facets with nothing to exclude stay plain aggregations.
+ */
+function buildFacetAggs(facetFilters, facets) {
+  const aggs = {};
+  for (const def of facets) {
+    const agg = buildFacetAgg(def);
+    if (!agg) continue;
+    const scope = Object.entries(facetFilters)
+      .filter(([name]) => name !== def.filter)
+      .map(([, clause]) => clause);
+    aggs[def.name] = scope.length > 0
+      ? { filter: { bool: { filter: scope } }, aggs: { facet: agg } }
+      : agg;
+  }
+  return aggs;
+}
+
 /**
  * Convert extracted params to ES filter clauses.
+ * Range-valued params ({ gte, lte }) from unit extractors become range filters.
  */
 function buildParamFilters(params) {
   const clauses = [];
   for (const [field, value] of Object.entries(params)) {
-    if (field.includes('focal_length_min')) {
+    if (value !== null && typeof value === 'object') {
+      clauses.push({ range: { [field]: value } });
+    } else if (field.includes('focal_length_min')) {
       clauses.push({ range: { 'params.focal_length_min': { lte: value } } });
     } else if (field.includes('focal_length_max')) {
       clauses.push({ range: { 'params.focal_length_max': { gte: value } } });
@@ -655,10 +830,20 @@ function buildParamFilters(params) {
   return clauses;
 }
 
+// Bayesian prior for the 'rating' sort: a product's average is pulled towards
+// RATING_PRIOR_MEAN as if it had RATING_PRIOR_REVIEWS extra neutral reviews,
+// so one 5-star review doesn't outrank 200 reviews averaging 4.8.
+const RATING_PRIOR_MEAN = 3.0;
+const RATING_PRIOR_REVIEWS = 5;
+
 /**
  * Build sort clause array.
  * 'popular' uses GA4 popularity_score when available, falls back to sales_30d.
- * 'trending' sorts by GA4 trending momentum.
+ * 'trending' sorts by GA4 trending momentum, falls back to 30d vs 365d sales momentum.
+ * 'rating' sorts by review-count-weighted avg_rating, unreviewed products get the prior.
+ * 'discount' sorts by sale_price vs price gap (%), products without a sale go last.
+ * The 'popular' fallback is scaled down (×0.1) to favour GA4-backed products; the
+ * 'trending' fallback is shifted below 0, so GA4-backed products always rank first.
  */
 function buildSortClause(sort) {
   switch (sort) {
@@ -687,16 +872,71 @@ function buildSortClause(sort) {
         '_score',
       ];
     case 'trending':
+      // Fallback mirrors the GA4 trending formula (ga4-sync.js) on sales:
+      // 30d sales vs 365d monthly average, ×50 capped at 100, then shifted to
+      // [-100, 0] — GA4 scores used here are > 0, so they always rank first.
       return [
         {
           _script: {
             type: 'number',
             script: {
               source: `
-                if (doc.containsKey('ga4.trending_score') && doc['ga4.trending_score'].size() > 0) {
+                if (doc.containsKey('ga4.trending_score') && doc['ga4.trending_score'].size() > 0 && doc['ga4.trending_score'].value > 0) {
                   return doc['ga4.trending_score'].value;
                 }
-                return 0;
+                double s30 = doc['sales_30d'].size() > 0 ? doc['sales_30d'].value : 0;
+                double monthlyAvg = 0;
+                if (doc.containsKey('sales_365d') && doc['sales_365d'].size() > 0) {
+                  monthlyAvg = doc['sales_365d'].value / 12.0;
+                }
+                double ratio = monthlyAvg > 0 ? s30 / monthlyAvg : (s30 > 0 ? 2.0 : 0.0);
+                return Math.min(ratio * 50.0, 100.0) - 100.0;
+              `,
+            },
+            order: 'desc',
+          },
+        },
+        { sales_30d: 'desc' },
+        '_score',
+      ];
+    case 'rating':
+      return [
+        {
+          _script: {
+            type: 'number',
+            script: {
+              source: `
+                double reviews = doc['review_count'].size() > 0 ? doc['review_count'].value : 0;
+                double avg = doc['avg_rating'].size() > 0 ? doc['avg_rating'].value : 0;
+                if (reviews <= 0 || avg <= 0) {
+                  return params.priorMean;
+                }
+                return (avg * reviews + params.priorMean * params.priorReviews) / (reviews + params.priorReviews);
+              `,
+              params: { priorMean: RATING_PRIOR_MEAN, priorReviews: RATING_PRIOR_REVIEWS },
+            },
+            order: 'desc',
+          },
+        },
+        { review_count: 'desc' },
+        '_score',
+      ];
+    case 'discount':
+      return [
+        {
+          _script: {
+            type: 'number',
+            script: {
+              source: `
+                if (doc['sale_price'].size() == 0 || doc['price'].size() == 0) {
+                  return 0;
+                }
+                double price = doc['price'].value;
+                double sale = doc['sale_price'].value;
+                if (price <= 0 || sale <= 0 || sale >= price) {
+                  return 0;
+                }
+                return (price - sale) / price * 100.0;
               `,
             },
             order: 'desc',
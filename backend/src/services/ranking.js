@@ -43,12 +43,86 @@ const LOW_PRIORITY_CATEGORIES = [
   'Transmisja Video', 'Audio',
 ];
 
+/**
+ * Ranking weights. Every tunable number of wrapWithFunctionScore lives here so
+ * alternative configurations can be compared side by side (admin ranking compare).
+ * Script factors are passed to ES as script params, not baked into the source.
+ */
+export const DEFAULT_RANKING_CONFIG = {
+  // in_stock ×1.5, na_zamowienie ×0.8, out_of_stock ×0.3
+  availability: { in_stock: 1.5, na_zamowienie: 0.8, out_of_stock: 0.3 },
+  // Multipliers on log1p(sales) / log1p(revenue)
+  sales30dFactor: 0.25,
+  sales365dFactor: 0.1,
+  revenueFactor: 0.025,
+  // Multipliers on GA4 composite scores (0-100)
+  ga4: { popularity: 0.008, conversion: 0.004, trending: 0.003 },
+  marginFactor: 0.003,
+  novelty: { scale: '60d', decay: 0.5 },
+  promo: 1.3,
+  rating: { minReviews: 3, factor: 0.1 },
+  noImage: 0.1,
+  // Condition weights per user preference ('used' | 'new' | none)
+  condition: {
+    default: { new: 1.3, used: 0.55 },
+    used: { new: 0.55, used: 1.8 },
+    new: { new: 1.5, used: 0.4 },
+  },
+  badges: { bestseller: 1.15, highlighted: 1.1 },
+  // Inverse name length boost for SKU queries, by name length threshold
+  skuSpecificity: { under15: 3.0, under30: 2.5, under45: 1.8, under60: 1.2 },
+  // Category context boosts per intent
+  bodyQuery: { body: 8.0, lenses: 3.0, accessories: 0.08 },
+  accessoryQuery: { accessories: 5.0, body: 0.1 },
+  brandQuery: { cameras: 5.0, lenses: 3.5, video: 2.5, lowPriority: 0.15 },
+  compoundQuery: { accessories: 0.2, lowPriority: 0.15 },
+};
+
+/**
+ * Merge partial overrides into the default ranking config.
+ * Only keys that exist in the defaults are accepted, with values of the same type.
+ * Throws a 400 error listing unknown keys or wrong types.
+ */
+export function resolveRankingConfig(overrides = {}, base = DEFAULT_RANKING_CONFIG) {
+  const errors = [];
+
+  function merge(defaults, patch, path) {
+    const result = { ...defaults };
+    for (const [key, value] of Object.entries(patch || {})) {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (!(key in defaults)) {
+        errors.push(`unknown ranking key "${keyPath}"`);
+      } else if (typeof defaults[key] === 'object') {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          result[key] = merge(defaults[key], value, keyPath);
+        } else {
+          errors.push(`"${keyPath}" must be an object`);
+        }
+      } else if (typeof value !== typeof defaults[key]) {
+        errors.push(`"${keyPath}" must be a ${typeof defaults[key]}`);
+      } else {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+
+  const resolved = merge(base, overrides, '');
+  if (errors.length > 0) {
+    const err = new Error(`Invalid ranking config: ${errors.join('; ')}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return resolved;
+}
+
 /**
  * Wrap a base ES query with function_score for business ranking.
  * @param {object} baseQuery — the ES query to wrap
  * @param {object} [intent] — optional intent from classifyIntent(), used for context-dependent boosts
+ * @param {object} [weights] — ranking config (see DEFAULT_RANKING_CONFIG / resolveRankingConfig)
  */
-export function wrapWithFunctionScore(baseQuery, intent = null) {
+export function wrapWithFunctionScore(baseQuery, intent = null, weights = DEFAULT_RANKING_CONFIG) {
   const isBodyQuery = intent?.isBodyQuery === true;
   const wantsAccessories = intent?.wantsAccessories === true;
   const isSKUQuery = intent?.type === 'SKU';
@@ -57,15 +131,9 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
   const conditionPref = intent?.conditionPref || null; // 'used' | 'new' | null
 
   // Condition weights: default favors new, but flips when user asks for used/new
-  let newWeight = 1.3;
-  let usedWeight = 0.55;
-  if (conditionPref === 'used') {
-    newWeight = 0.55;
-    usedWeight = 1.8;
-  } else if (conditionPref === 'new') {
-    newWeight = 1.5;
-    usedWeight = 0.4;
-  }
+  const conditionWeights = weights.condition[conditionPref] || weights.condition.default;
+  const newWeight = conditionWeights.new;
+  const usedWeight = conditionWeights.used;
 
   return {
     function_score: {
@@ -77,15 +145,15 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
         // in_stock ×1.5, na_zamowienie ×0.8, out_of_stock ×0.3
         {
           filter: { term: { availability: 'in_stock' } },
-          weight: 1.5,
+          weight: weights.availability.in_stock,
         },
         {
           filter: { term: { availability: 'na_zamowienie' } },
-          weight: 0.8,
+          weight: weights.availability.na_zamowienie,
         },
         {
           filter: { term: { availability: 'out_of_stock' } },
-          weight: 0.3,
+          weight: weights.availability.out_of_stock,
         },
 
         // ── Sales boost (30d) — strongest signal ──
@@ -98,10 +166,11 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
               source: `
                 double s30 = doc['sales_30d'].value;
                 if (s30 > 0) {
-                  return 1.0 + Math.log1p(s30) * 0.25;
+                  return 1.0 + Math.log1p(s30) * params.factor;
                 }
                 return 1.0;
               `,
+              params: { factor: weights.sales30dFactor },
             },
           },
         },
@@ -117,11 +186,12 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
                 if (doc.containsKey('sales_365d') && doc['sales_365d'].size() > 0) {
                   double s365 = doc['sales_365d'].value;
                   if (s365 > 0) {
-                    return 1.0 + Math.log1p(s365) * 0.1;
+                    return 1.0 + Math.log1p(s365) * params.factor;
                   }
                 }
                 return 1.0;
               `,
+              params: { factor: weights.sales365dFactor },
             },
           },
         },
@@ -142,10 +212,11 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
                   rev = doc['revenue_365d'].value / 12.0;
                 }
                 if (rev > 0) {
-                  return 1.0 + Math.log1p(rev) * 0.025;
+                  return 1.0 + Math.log1p(rev) * params.factor;
                 }
                 return 1.0;
               `,
+              params: { factor: weights.revenueFactor },
             },
           },
         },
@@ -160,11 +231,12 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
                 if (doc.containsKey('ga4.popularity_score') && doc['ga4.popularity_score'].size() > 0) {
                   double popScore = doc['ga4.popularity_score'].value;
                   if (popScore > 0) {
-                    return 1.0 + popScore * 0.008;
+                    return 1.0 + popScore * params.factor;
                   }
                 }
                 return 1.0;
               `,
+              params: { factor: weights.ga4.popularity },
             },
           },
         },
@@ -179,11 +251,12 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
                 if (doc.containsKey('ga4.conversion_score') && doc['ga4.conversion_score'].size() > 0) {
                   double convScore = doc['ga4.conversion_score'].value;
                   if (convScore > 0) {
-                    return 1.0 + convScore * 0.004;
+                    return 1.0 + convScore * params.factor;
                   }
                 }
                 return 1.0;
               `,
+              params: { factor: weights.ga4.conversion },
             },
           },
         },
@@ -198,11 +271,12 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
                 if (doc.containsKey('ga4.trending_score') && doc['ga4.trending_score'].size() > 0) {
                   double trendScore = doc['ga4.trending_score'].value;
                   if (trendScore > 0) {
-                    return 1.0 + trendScore * 0.003;
+                    return 1.0 + trendScore * params.factor;
                   }
                 }
                 return 1.0;
               `,
+              params: { factor: weights.ga4.trending },
             },
           },
         },
@@ -211,7 +285,8 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
         {
           script_score: {
             script: {
-              source: "1 + doc['margin_pct'].value * 0.003",
+              source: "1 + doc['margin_pct'].value * params.factor",
+              params: { factor: weights.marginFactor },
             },
           },
         },
@@ -221,8 +296,8 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
           gauss: {
             created_at: {
               origin: 'now',
-              scale: '60d',
-              decay: 0.5,
+              scale: weights.novelty.scale,
+              decay: weights.novelty.decay,
             },
           },
         },
@@ -230,14 +305,15 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
         // ── Promo boost ──
         {
           filter: { term: { is_promo: true } },
-          weight: 1.3,
+          weight: weights.promo,
         },
 
         // ── Rating boost (only for well-reviewed products) ──
         {
           script_score: {
             script: {
-              source: "doc['review_count'].value >= 3 ? 1 + (doc['avg_rating'].value - 3) * 0.1 : 1.0",
+              source: "doc['review_count'].value >= params.minReviews ? 1 + (doc['avg_rating'].value - 3) * params.factor : 1.0",
+              params: { minReviews: weights.rating.minReviews, factor: weights.rating.factor },
             },
           },
         },
@@ -245,7 +321,7 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
         // ── No-image penalty ──
         {
           filter: { term: { has_image: false } },
-          weight: 0.1,
+          weight: weights.noImage,
         },
 
         // ── Condition: new vs used ──
@@ -265,11 +341,11 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
         // ── Bestseller / highlighted badge boost ──
         {
           filter: { term: { is_bestseller: true } },
-          weight: 1.15,
+          weight: weights.badges.bestseller,
         },
         {
           filter: { term: { is_highlighted: true } },
-          weight: 1.1,
+          weight: weights.badges.highlighted,
         },
 
         // ── SKU specificity boost ──
@@ -283,12 +359,13 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
               source: `
                 String name = doc['name.exact'].value;
                 int len = name.length();
-                if (len < 15) return 3.0;
-                if (len < 30) return 2.5;
-                if (len < 45) return 1.8;
-                if (len < 60) return 1.2;
+                if (len < 15) return params.under15;
+                if (len < 30) return params.under30;
+                if (len < 45) return params.under45;
+                if (len < 60) return params.under60;
                 return 1.0;
               `,
+              params: weights.skuSpecificity,
             },
           },
         }] : []),
@@ -300,7 +377,7 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
         ...(isBodyQuery ? [
           {
             filter: { terms: { category: BODY_PRODUCT_CATEGORIES } },
-            weight: 8.0,
+            weight: weights.bodyQuery.body,
           },
           {
             filter: {
@@ -311,21 +388,21 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
                 ],
               },
             },
-            weight: 3.0,
+            weight: weights.bodyQuery.lenses,
           },
           {
             filter: { terms: { category: ACCESSORY_CATEGORIES } },
-            weight: 0.08,
+            weight: weights.bodyQuery.accessories,
           },
         ] : wantsAccessories ? [
           // Flip: boost accessories, penalize cameras
           {
             filter: { terms: { category: ACCESSORY_CATEGORIES } },
-            weight: 5.0,
+            weight: weights.accessoryQuery.accessories,
           },
           {
             filter: { terms: { category: BODY_PRODUCT_CATEGORIES } },
-            weight: 0.1,
+            weight: weights.accessoryQuery.body,
           },
         ] : isBrandQuery ? [
           // Brand query: user typed "canon", "sony" etc.
@@ -339,7 +416,7 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
                 category: ['Aparaty cyfrowe', 'Używane aparaty cyfrowe'],
               },
             },
-            weight: 5.0,
+            weight: weights.brandQuery.cameras,
           },
           {
             filter: {
@@ -350,7 +427,7 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
                 ],
               },
             },
-            weight: 3.5,
+            weight: weights.brandQuery.lenses,
           },
           {
             filter: {
@@ -361,7 +438,7 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
                 ],
               },
             },
-            weight: 2.5,
+            weight: weights.brandQuery.video,
           },
           {
             filter: {
@@ -369,7 +446,7 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
                 category: LOW_PRIORITY_CATEGORIES,
               },
             },
-            weight: 0.15,
+            weight: weights.brandQuery.lowPriority,
           },
         ] : isCompoundQuery ? [
           // Compound query: "obiektyw Canon 50mm", "statyw Manfrotto" etc.
@@ -378,11 +455,11 @@ export function wrapWithFunctionScore(baseQuery, intent = null) {
           // Penalize "pozostałe" subcategories and low-priority items.
           {
             filter: { terms: { category: ACCESSORY_CATEGORIES } },
-            weight: 0.2,
+            weight: weights.compoundQuery.accessories,
           },
           {
             filter: { terms: { category: LOW_PRIORITY_CATEGORIES } },
-            weight: 0.15,
+            weight: weights.compoundQuery.lowPriority,
           },
         ] : []),
       ],
@@ -16,11 +16,18 @@ const INDEX_NAME = process.env.INDEX_NAME || 'products';
 
 /**
  * Execute zero-results recovery cascade.
- * Returns { products, total, didYouMean, fallbackType }
+ * Returns { products, total, didYouMean, fallbackType, steps }
+ * `steps` lists every cascade step attempted, in order (for debug mode).
  */
 export async function recoverZeroResults(es, originalQuery, intent, options = {}) {
+  const steps = [];
+  // Spell-correct and relax only the text terms; exclusions stay as must_not (options.exclusions)
+  // and price phrases are already in options.filters
+  const query = intent.searchText ?? originalQuery;
+
   // Step 1: Spell correction via phrase suggester
-  const spellResult = await trySpellCorrection(es, originalQuery);
+  steps.push('spell_correction');
+  const spellResult = await trySpellCorrection(es, query);
   if (spellResult) {
     const correctedQuery = spellResult.text;
     const body = buildSearchQuery(correctedQuery, { type: 'GENERAL', query: correctedQuery }, options);
@@ -34,26 +41,30 @@ export async function recoverZeroResults(es, originalQuery, intent, options = {}
         aggregations: result.aggregations,
         didYouMean: correctedQuery,
         fallbackType: 'spell_correction',
+        steps,
       };
     }
   }
 
   // Step 2: Query relaxation — drop shortest/last terms iteratively
-  const relaxedResult = await tryQueryRelaxation(es, originalQuery, options);
+  steps.push('query_relaxation');
+  const relaxedResult = await tryQueryRelaxation(es, query, options);
   if (relaxedResult) {
-    return relaxedResult;
+    return { ...relaxedResult, steps };
   }
 
   // Step 3: Category fallback — if intent had category signal
   if (intent.type === 'CATEGORY' && intent.category) {
+    steps.push('category_fallback');
     const catResult = await tryCategoryFallback(es, intent.category);
     if (catResult) {
-      return catResult;
+      return { ...catResult, steps };
     }
   }
 
   // Step 4: Bestsellers — ultimate fallback
-  return await getBestsellers(es);
+  steps.push('bestsellers');
+  return { ...(await getBestsellers(es)), steps };
 }
 
 async function trySpellCorrection(es, query) {
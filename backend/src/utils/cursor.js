@@ -0,0 +1,59 @@
+/**
+ * Opaque cursors for deep pagination (search_after + point-in-time).
+ * A cursor is base64url JSON: { pit, sa, fp } — PIT id, search_after values
+ * of the last hit, and a fingerprint of the query/filters/sort it belongs to.
+ */
+
+import { createHash } from 'crypto';
+
+// Requesting ?cursor=* starts a new cursor session
+export const CURSOR_START = '*';
+
+// How long ES keeps the point-in-time alive between page requests
+export const CURSOR_KEEP_ALIVE = '2m';
+
+export function cursorError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Fingerprint of everything that defines the result set and its order.
+ * A cursor can only be replayed against the same query, filters and sort.
+ */
+export function cursorFingerprint(query, filters, sort) {
+  const canonical = {};
+  for (const key of Object.keys(filters).sort()) {
+    const value = filters[key];
+    canonical[key] = Array.isArray(value) ? [...value].map(String).sort() : value;
+  }
+  return createHash('md5')
+    .update(JSON.stringify([query, canonical, sort]))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+export function encodeCursor({ pit, searchAfter, fingerprint }) {
+  return Buffer.from(JSON.stringify({ pit, sa: searchAfter, fp: fingerprint })).toString('base64url');
+}
+
+/**
+ * Decode a cursor. Throws a 400 error for malformed cursors or a cursor
+ * issued for a different query/filters/sort.
+ */
+export function decodeCursor(cursor, fingerprint) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+  } catch {
+    throw cursorError('Invalid cursor');
+  }
+  if (!decoded || typeof decoded.pit !== 'string' || !Array.isArray(decoded.sa)) {
+    throw cursorError('Invalid cursor');
+  }
+  if (decoded.fp !== fingerprint) {
+    throw cursorError('Cursor does not match query, filters or sort');
+  }
+  return { pit: decoded.pit, searchAfter: decoded.sa };
+}
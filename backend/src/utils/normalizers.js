@@ -54,3 +54,20 @@ export function normalizeCacheKey(q) {
 export function escapeQueryString(q) {
   return (q || '').replace(/[+\-=&|><!(){}\[\]^"~*?:\\/]/g, '\\$&');
 }
+
+/**
+ * Normalize a multi-value facet filter from the querystring.
+ * ?brand=Canon&brand=Sony and ?brand=Canon,Sony → ['Canon', 'Sony']
+ * Splits only on commas NOT followed by whitespace — category names such as
+ * "Filtry, pokrywki" contain ", " and must stay intact.
+ * Result is de-duplicated and sorted so equivalent requests share cache keys.
+ */
+export function parseFilterValues(value) {
+  if (value == null) return [];
+  const raw = Array.isArray(value) ? value : [value];
+  const values = raw
+    .flatMap((v) => String(v).split(/,(?!\s)/))
+    .map((v) => v.trim())
+    .filter(Boolean);
+  return [...new Set(values)].sort();
+}
@@ -67,35 +67,117 @@ export function formatBrandBucket(bucket) {
   };
 }
 
-export function formatFacets(aggregations) {
-  if (!aggregations) return {};
-  const facets = {};
+/**
+ * Unwrap a facet aggregation. Disjunctive facets are wrapped in a filter agg
+ * with the bucket agg under `facet` (see buildSearchQuery).
+ */
+function unwrapFacet(agg) {
+  return agg?.facet || agg;
+}
 
-  if (aggregations.brands) {
-    facets.brand = (aggregations.brands.buckets || []).map(formatBrandBucket);
-  }
-  if (aggregations.categories) {
-    facets.category = (aggregations.categories.buckets || []).map(formatCategoryBucket);
-  }
-  if (aggregations.availability_facet) {
-    facets.availability = (aggregations.availability_facet.buckets || []).map((b) => ({
-      name: b.key,
-      count: b.doc_count,
-    }));
+/**
+ * Map terms buckets and flag the ones matching the active filter values.
+ * Selected values missing from the buckets are appended with count 0,
+ * so the UI can still render them as ticked.
+ */
+function formatTermsFacet(agg, selectedValues) {
+  // Compare as strings — numeric keys (video_fps) arrive from the querystring as text
+  const selected = new Set((selectedValues || []).map(String));
+  const buckets = (unwrapFacet(agg).buckets || []).map((b) => ({
+    name: b.key,
+    count: b.doc_count,
+    selected: selected.has(String(b.key)),
+  }));
+  for (const value of selected) {
+    if (!buckets.some((b) => String(b.name) === value)) {
+      buckets.push({ name: value, count: 0, selected: true });
+    }
   }
-  if (aggregations.mounts) {
-    facets.mount = (aggregations.mounts.buckets || []).map((b) => ({
-      name: b.key,
+  return buckets;
+}
+
+/**
+ * Active min/max for a range-style facet. Range URL filters follow the
+ * `${filter}_min` / `${filter}_max` convention (price_min, param_focal_max, ...).
+ */
+function getSelectedRange(filterName, filters) {
+  const min = filters[`${filterName}_min`];
+  const max = filters[`${filterName}_max`];
+  if (min == null && max == null) return null;
+  return { min: min ?? null, max: max ?? null };
+}
+
+/**
+ * Build a slider facet (e.g. price) from the stats, percentiles and adaptive histogram aggs.
+ * `selected` echoes the active min/max so the slider handles can be placed.
+ */
+function formatSliderFacet(agg, selected) {
+  const stats = agg.stats || {};
+  const percentiles = agg.percentiles?.values || {};
+  const histogram = agg.histogram?.buckets || [];
+  return {
+    min: stats.min ?? null,
+    max: stats.max ?? null,
+    avg: stats.avg != null ? Math.round(stats.avg * 100) / 100 : null,
+    count: stats.count || 0,
+    percentiles: Object.fromEntries(
+      Object.entries(percentiles).map(([p, v]) => [`p${parseFloat(p)}`, v]),
+    ),
+    histogram: histogram.map((b) => ({
+      from: Math.floor(b.min),
+      to: Math.ceil(b.max),
       count: b.doc_count,
-    }));
+    })),
+    selected,
+  };
+}
+
+/**
+ * Format a single facet according to its definition type (see facet-config.js).
+ */
+function formatFacet(def, agg, filters) {
+  const inner = unwrapFacet(agg);
+  switch (def.type) {
+    case 'terms':
+      return formatTermsFacet(inner, filters[def.filter]);
+    case 'range':
+      return {
+        buckets: (inner.buckets || []).map((b) => ({
+          key: b.key,
+          from: b.from,
+          to: b.to,
+          count: b.doc_count,
+        })),
+        selected: getSelectedRange(def.filter, filters),
+      };
+    case 'span':
+      return {
+        min: inner.min?.value ?? null,
+        max: inner.max?.value ?? null,
+        count: inner.doc_count || 0,
+        selected: getSelectedRange(def.filter, filters),
+      };
+    case 'slider':
+      return formatSliderFacet(inner, getSelectedRange(def.filter, filters));
+    default:
+      return null;
   }
-  if (aggregations.price_ranges) {
-    facets.price_ranges = (aggregations.price_ranges.buckets || []).map((b) => ({
-      key: b.key,
-      from: b.from,
-      to: b.to,
-      count: b.doc_count,
-    }));
+}
+
+/**
+ * Format facet aggregations in profile order.
+ * @param {object} aggregations — ES aggregations from buildSearchQuery
+ * @param {object} [filters] — active URL filters, used to flag selected values
+ * @param {Array} [facetDefs] — facet definitions of the active profile
+ */
+export function formatFacets(aggregations, filters = {}, facetDefs = []) {
+  if (!aggregations) return {};
+  const facets = {};
+
+  for (const def of facetDefs) {
+    if (!aggregations[def.name]) continue;
+    const facet = formatFacet(def, aggregations[def.name], filters);
+    if (facet) facets[def.name] = facet;
   }
 
   return facets;
@@ -111,7 +193,7 @@ export function formatAutocompleteResponse(query, { suggestions, categories, bra
   };
 }
 
-export function formatSearchResponse(query, { total, page, perPage, products, facets, didYouMean }) {
+export function formatSearchResponse(query, { total, page, perPage, products, facets, didYouMean, nextCursor }) {
   const response = {
     query,
     total: total || 0,
@@ -123,5 +205,34 @@ export function formatSearchResponse(query, { total, page, perPage, products, fa
   if (didYouMean) {
     response.did_you_mean = didYouMean;
   }
+  // Cursor pagination only — null marks the last page
+  if (nextCursor !== undefined) {
+    response.next_cursor = nextCursor;
+  }
   return response;
 }
+
+/**
+ * Merchandising draft preview: live and draft responses side by side, plus which
+ * products the draft adds, removes or moves on this page (rank_delta > 0 = moved up).
+ */
+export function formatPreviewResponse(query, draftId, live, draft) {
+  const liveRanks = new Map(live.products.map((p, i) => [p.id, i + 1]));
+  const draftRanks = new Map(draft.products.map((p, i) => [p.id, i + 1]));
+  const moved = [];
+  for (const [id, rank] of draftRanks) {
+    const liveRank = liveRanks.get(id);
+    if (liveRank != null && liveRank !== rank) moved.push({ id, live_rank: liveRank, draft_rank: rank, rank_delta: liveRank - rank });
+  }
+  return {
+    query,
+    preview: {
+      draft: draftId,
+      entered: [...draftRanks.keys()].filter((id) => !liveRanks.has(id)),
+      left: [...liveRanks.keys()].filter((id) => !draftRanks.has(id)),
+      moved,
+    },
+    live,
+    draft,
+  };
+}
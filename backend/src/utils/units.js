@@ -0,0 +1,38 @@
+/**
+ * Spec unit normalization — shared by query param extraction and feed import,
+ * so "1 TB" typed in the search box and "1000GB" in a product name compare as equal.
+ *
+ * Canonical units: storage → GB, weight → kg, battery → mAh / Wh, length → cm.
+ */
+
+// Storage vendors count decimal: 1 TB = 1000 GB on every memory card and SSD label
+const UNIT_FACTORS = {
+  gb: 1,
+  tb: 1000,
+  kg: 1,
+  g: 0.001,
+  mah: 1,
+  wh: 1,
+  cm: 1,
+  m: 100,
+  mm: 0.1,
+};
+
+/**
+ * Parse a Polish or English decimal: "1,5" and "1.5" → 1.5
+ */
+export function parseDecimal(text) {
+  return parseFloat(String(text).replace(',', '.'));
+}
+
+/**
+ * Convert a value to its canonical unit. Returns null for unknown units.
+ * toCanonicalUnit('1,5', 'TB') → 1500, toCanonicalUnit(2, 'm') → 200
+ */
+export function toCanonicalUnit(value, unit) {
+  const factor = UNIT_FACTORS[String(unit).toLowerCase()];
+  const number = typeof value === 'number' ? value : parseDecimal(value);
+  if (factor == null || !Number.isFinite(number)) return null;
+  // Round away float noise (0.3 * 100 = 30.000000000000004)
+  return Math.round(number * factor * 1000) / 1000;
+}
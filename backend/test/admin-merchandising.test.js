@@ -0,0 +1,60 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import Fastify from 'fastify';
+
+vi.hoisted(() => {
+  process.env.ADMIN_TOKEN = 'test-token';
+});
+
+const { default: adminAuthPlugin } = await import('../src/plugins/admin-auth.js');
+const { default: adminMerchandisingRoutes } = await import('../src/routes/admin/merchandising.js');
+
+const ADMIN = { 'x-admin-token': 'test-token' };
+const RULE = { id: 'test-rule', conditions: [{ type: 'exact', value: 'canon' }], actions: [{ type: 'pin', products: ['missing'] }] };
+
+let app;
+let mget;
+
+beforeEach(async () => {
+  mget = vi.fn(async ({ body }) => ({ docs: body.ids.map((id) => ({ _id: id, found: false })) }));
+  app = Fastify();
+  app.decorate('es', { mget });
+  app.decorate('redis', null);
+  await app.register(adminAuthPlugin);
+  await app.register(adminMerchandisingRoutes, { prefix: '/api/admin' });
+  await app.ready();
+  return () => app.close();
+});
+
+describe('admin merchandising routes', () => {
+  it('keeps read routes open', async () => {
+    const res = await app.inject({ method: 'GET', url: '/api/admin/merchandising' });
+    expect(res.statusCode).toBe(200);
+  });
+
+  it.each([
+    ['POST', '/api/admin/merchandising/rules', RULE],
+    ['PUT', '/api/admin/merchandising/rules/test-rule', RULE],
+    ['DELETE', '/api/admin/merchandising/rules/test-rule', undefined],
+    ['POST', '/api/admin/merchandising/rollback', { version: 1 }],
+    ['POST', '/api/admin/merchandising/reload', undefined],
+  ])('rejects %s %s without the admin token', async (method, url, payload) => {
+    const res = await app.inject({ method, url, payload, headers: { 'x-admin-token': 'wrong' } });
+    expect(res.statusCode).toBe(403);
+    expect(res.json()).toEqual({ error: 'admin token required' });
+  });
+
+  it('validates rules before looking their products up', async () => {
+    const res = await app.inject({
+      method: 'POST', url: '/api/admin/merchandising/rules', headers: ADMIN, payload: { ...RULE, actions: [null] },
+    });
+    expect(res.statusCode).toBe(400);
+    expect(res.json().error).toContain('rules[0].actions[0].type must be one of');
+    expect(mget).not.toHaveBeenCalled();
+  });
+
+  it('rejects pins of products missing from the index', async () => {
+    const res = await app.inject({ method: 'POST', url: '/api/admin/merchandising/rules', headers: ADMIN, payload: RULE });
+    expect(res.statusCode).toBe(400);
+    expect(res.json().missingProducts).toEqual(['missing']);
+  });
+});
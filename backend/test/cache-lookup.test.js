@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { cachedSearch, getCacheStats } from '../src/services/cache.js';
+import { createFakeRedis } from './fake-redis.js';
+
+let redis;
+let query;
+let queryCount = 0;
+
+beforeEach(() => {
+  redis = createFakeRedis();
+  // Counters live in the module — a fresh query per test keeps keys and in-flight fills apart
+  query = `lookup ${++queryCount}`;
+});
+
+const search = (compute) => cachedSearch(redis, { query }, compute);
+const entryKey = () => [...redis.store.keys()].find((key) => key.startsWith('sr:'));
+const searchStats = () => ({ hit: 0, miss: 0, stale: 0, coalesced: 0, ...getCacheStats().endpoints.search });
+
+function expireEntry() {
+  const item = redis.store.get(entryKey());
+  const entry = JSON.parse(item.value);
+  item.value = JSON.stringify({ ...entry, fresh_until: Date.now() - 1 });
+}
+
+describe('cached lookup', () => {
+  it('computes on a miss and serves the stored entry as a hit', async () => {
+    const before = searchStats();
+    const compute = vi.fn(async () => ({ products: [], total: 1 }));
+
+    expect(await search(compute)).toEqual({ products: [], total: 1 });
+    expect(await search(compute)).toEqual({ products: [], total: 1 });
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(searchStats()).toMatchObject({ hit: before.hit + 1, miss: before.miss + 1 });
+  });
+
+  it('coalesces concurrent misses into one computation', async () => {
+    const before = searchStats();
+    const compute = vi.fn(async () => ({ total: 2 }));
+
+    const results = await Promise.all([search(compute), search(compute), search(compute)]);
+    expect(results).toEqual([{ total: 2 }, { total: 2 }, { total: 2 }]);
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(searchStats().coalesced).toBe(before.coalesced + 2);
+  });
+
+  it('serves a stale entry at once and refreshes it in the background', async () => {
+    await search(async () => ({ version: 1 }));
+    expireEntry();
+    const before = searchStats();
+    const refresh = vi.fn(async () => ({ version: 2 }));
+
+    expect(await search(refresh)).toEqual({ version: 1 });
+    expect(searchStats().stale).toBe(before.stale + 1);
+    await vi.waitFor(() => expect(JSON.parse(redis.store.get(entryKey()).value).data).toEqual({ version: 2 }));
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(redis.store.has(`lock:${entryKey()}`)).toBe(false);
+  });
+
+  it('starts one background refresh for concurrent stale lookups', async () => {
+    await search(async () => ({ version: 1 }));
+    expireEntry();
+    const refresh = vi.fn(async () => ({ version: 2 }));
+
+    await Promise.all([search(refresh), search(refresh)]);
+    await vi.waitFor(() => expect(refresh).toHaveBeenCalledTimes(1));
+  });
+
+  it('keeps serving stale without refreshing while another instance holds the fill lock', async () => {
+    await search(async () => ({ version: 1 }));
+    expireEntry();
+    await redis.set(`lock:${entryKey()}`, 'other-instance', 'PX', 5000, 'NX');
+    const refresh = vi.fn(async () => ({ version: 2 }));
+
+    expect(await search(refresh)).toEqual({ version: 1 });
+    await new Promise((resolveP) => setTimeout(resolveP, 20));
+    expect(refresh).not.toHaveBeenCalled();
+    expect(redis.store.get(`lock:${entryKey()}`).value).toBe('other-instance');
+  });
+
+  it('waits for the entry another instance is filling instead of computing it', async () => {
+    // Same query, same key — learn it from a throwaway cache
+    const scratch = createFakeRedis();
+    await cachedSearch(scratch, { query }, async () => ({}));
+    const key = [...scratch.store.keys()].find((name) => name.startsWith('sr:'));
+
+    await redis.set(`lock:${key}`, 'other-instance', 'PX', 5000, 'NX');
+    setTimeout(() => {
+      const entry = { fresh_until: Date.now() + 60000, data: { from: 'other instance' } };
+      redis.set(key, JSON.stringify(entry), 'EX', 360);
+    }, 120);
+    const compute = vi.fn(async () => ({ from: 'this instance' }));
+
+    expect(await search(compute)).toEqual({ from: 'other instance' });
+    expect(compute).not.toHaveBeenCalled();
+  });
+
+  it('computes without waiting when Redis is unavailable', async () => {
+    const down = async () => {
+      throw new Error('Connection is closed.');
+    };
+    redis = { get: down, set: down, eval: down, multi: () => ({ set() { return this; }, exec: down }) };
+    const compute = vi.fn(async () => ({ total: 0 }));
+
+    expect(await search(compute)).toEqual({ total: 0 });
+    expect(compute).toHaveBeenCalledTimes(1);
+  });
+});
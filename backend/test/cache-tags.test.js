@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { cachedSearch, cachedAutocomplete, invalidateTags, flushCache } from '../src/services/cache.js';
+import { createFakeRedis } from './fake-redis.js';
+
+const SEARCH = {
+  products: [
+    { id: 'p1', brand: 'Canon', category: 'Aparaty cyfrowe' },
+    { id: 'p2', brand: 'Sigma', category: 'Obiektywy' },
+  ],
+  facets: { brand: [{ name: 'Sony', count: 0 }], category: [{ name: 'Statywy', count: 3 }] },
+};
+const AUTOCOMPLETE = {
+  products: [{ id: 'p3', brand: 'DJI', category: 'Drony' }],
+  brands: [{ name: 'GoPro' }],
+  categories: [{ name: 'Kamery sportowe' }],
+};
+
+let redis;
+
+beforeEach(() => {
+  redis = createFakeRedis();
+});
+
+const cacheKeys = () => [...redis.store.keys()].filter((key) => /^(sr|ac):/.test(key)).sort();
+const tagMembers = (tag) => [...(redis.store.get(tag)?.value || [])];
+
+describe('cache tags', () => {
+  it('tags a search response with its products, brands, categories and facet values', async () => {
+    await cachedSearch(redis, { query: 'Canon' }, async () => SEARCH);
+    const [key] = cacheKeys();
+    expect(key).toMatch(/^sr:canon:/);
+    for (const tag of ['tag:p:p1', 'tag:p:p2', 'tag:b:canon', 'tag:b:sigma', 'tag:b:sony',
+      'tag:c:aparaty cyfrowe', 'tag:c:obiektywy', 'tag:c:statywy']) {
+      expect(tagMembers(tag)).toEqual([key]);
+    }
+  });
+
+  it('tags autocomplete responses with their brand and category suggestions', async () => {
+    await cachedAutocomplete(redis, 'dj', async () => AUTOCOMPLETE);
+    expect(tagMembers('tag:b:gopro')).toEqual(['ac:dj']);
+    expect(tagMembers('tag:c:kamery sportowe')).toEqual(['ac:dj']);
+    expect(tagMembers('tag:p:p3')).toEqual(['ac:dj']);
+  });
+});
+
+describe('invalidateTags', () => {
+  beforeEach(async () => {
+    await cachedSearch(redis, { query: 'canon' }, async () => SEARCH);
+    await cachedAutocomplete(redis, 'dj', async () => AUTOCOMPLETE);
+  });
+
+  it('drops only the responses showing a product and removes its tag set', async () => {
+    expect(await invalidateTags(redis, { products: ['p1'] })).toBe(1);
+    expect(cacheKeys()).toEqual(['ac:dj']);
+    expect(redis.store.has('tag:p:p1')).toBe(false);
+  });
+
+  it('matches brands and categories case-insensitively and counts each response once', async () => {
+    expect(await invalidateTags(redis, { brands: ['CANON', 'gopro'], categories: ['Aparaty Cyfrowe'] })).toBe(2);
+    expect(cacheKeys()).toEqual([]);
+  });
+
+  it('deletes nothing for unknown tags or no tags', async () => {
+    expect(await invalidateTags(redis, { products: ['unknown'] })).toBe(0);
+    expect(await invalidateTags(redis, {})).toBe(0);
+    expect(cacheKeys()).toHaveLength(2);
+  });
+
+  it('is a no-op without Redis', async () => {
+    expect(await invalidateTags(null, { products: ['p1'] })).toBe(0);
+  });
+});
+
+describe('flushCache', () => {
+  it('deletes responses and tag sets and leaves other keys alone', async () => {
+    await cachedSearch(redis, { query: 'canon' }, async () => SEARCH);
+    await cachedAutocomplete(redis, 'dj', async () => AUTOCOMPLETE);
+    await redis.set('analytics:counter', '1');
+
+    expect(await flushCache(redis)).toBe(2);
+    expect([...redis.store.keys()]).toEqual(['analytics:counter']);
+  });
+});
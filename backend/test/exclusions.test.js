@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { classifyIntent, extractExclusions } from '../src/services/intent-classifier.js';
+import { buildSearchQuery, buildAutocompleteQuery } from '../src/services/query-builder.js';
+
+const mustNot = (query) => buildSearchQuery(query, classifyIntent(query)).query.bool.must_not;
+
+describe('extractExclusions', () => {
+  it('keeps the "bez" operator with its term', () => {
+    expect(extractExclusions('statyw bez głowicy')).toEqual({ query: 'statyw', exclusions: ['bez głowicy'] });
+  });
+
+  it('drops "-" and "oprócz" operators and normalizes genitive brands', () => {
+    expect(extractExclusions('obiektyw sony -używany')).toEqual({ query: 'obiektyw sony', exclusions: ['używany'] });
+    expect(extractExclusions('aparat oprócz Canona')).toEqual({ query: 'aparat', exclusions: ['canon'] });
+  });
+});
+
+describe('exclusion clauses', () => {
+  it('keeps products named "... bez głowicy" for "statyw bez głowicy"', () => {
+    expect(mustNot('statyw bez głowicy')).toEqual([
+      {
+        bool: {
+          must: [{ multi_match: { query: 'głowicy', fields: ['name.folded', 'name.morfologik'], operator: 'and' } }],
+          must_not: [{ match_phrase: { 'name.folded': 'bez głowicy' } }],
+        },
+      },
+    ]);
+  });
+
+  it('excludes "-" terms by name outright', () => {
+    expect(mustNot('statyw -głowica')).toEqual([
+      { multi_match: { query: 'głowica', fields: ['name.folded', 'name.morfologik'], operator: 'and' } },
+    ]);
+  });
+
+  it('excludes brands by keyword and used terms by condition', () => {
+    expect(mustNot('aparat oprócz canona')).toContainEqual({ term: { brand: 'Canon' } });
+    expect(mustNot('obiektyw -używany')).toContainEqual({ term: { condition: 'used' } });
+  });
+
+  it('applies the same clauses to autocomplete product results', () => {
+    const bodies = buildAutocompleteQuery('statyw bez głowicy', classifyIntent('statyw bez głowicy'));
+    const products = bodies[bodies.length - 1];
+    expect(products.query.bool.must_not).toEqual(mustNot('statyw bez głowicy'));
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * In-memory stand-in for the ioredis commands services/cache.js uses
+ * (strings with EX/PX/NX, sets, MULTI, SCAN streams, the lock release script).
+ * `store` maps key → { value, expiresAt } for inspecting and editing entries in tests.
+ */
+export function createFakeRedis() {
+  const store = new Map();
+
+  const live = (key) => {
+    const item = store.get(key);
+    if (item && item.expiresAt != null && item.expiresAt <= Date.now()) {
+      store.delete(key);
+      return null;
+    }
+    return item || null;
+  };
+
+  const redis = {
+    store,
+
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+
+    async set(key, value, ...args) {
+      const opts = args.map((arg) => (typeof arg === 'string' ? arg.toUpperCase() : arg));
+      if (opts.includes('NX') && live(key)) return null;
+      let expiresAt = null;
+      if (opts.includes('EX')) expiresAt = Date.now() + opts[opts.indexOf('EX') + 1] * 1000;
+      if (opts.includes('PX')) expiresAt = Date.now() + opts[opts.indexOf('PX') + 1];
+      store.set(key, { value, expiresAt });
+      return 'OK';
+    },
+
+    async sadd(key, ...members) {
+      const item = live(key) || { value: new Set(), expiresAt: null };
+      for (const member of members) item.value.add(member);
+      store.set(key, item);
+      return members.length;
+    },
+
+    async expire(key, seconds) {
+      const item = live(key);
+      if (!item) return 0;
+      item.expiresAt = Date.now() + seconds * 1000;
+      return 1;
+    },
+
+    async sunion(...keys) {
+      const union = new Set();
+      for (const key of keys) {
+        for (const member of live(key)?.value || []) union.add(member);
+      }
+      return [...union];
+    },
+
+    async del(...keys) {
+      let deleted = 0;
+      for (const key of keys) {
+        if (live(key)) deleted++;
+        store.delete(key);
+      }
+      return deleted;
+    },
+
+    // Only the compare-and-delete lock release script is supported
+    async eval(script, numKeys, key, token) {
+      return live(key)?.value === token ? redis.del(key) : 0;
+    },
+
+    multi() {
+      const queue = [];
+      const tx = {
+        exec: async () => {
+          const results = [];
+          for (const [command, args] of queue) results.push([null, await redis[command](...args)]);
+          return results;
+        },
+      };
+      for (const command of ['set', 'sadd', 'expire', 'del']) {
+        tx[command] = (...args) => {
+          queue.push([command, args]);
+          return tx;
+        };
+      }
+      return tx;
+    },
+
+    // One batch with every matching key; `match` supports a trailing * only
+    scanStream({ match }) {
+      const prefix = match.replace(/\*$/, '');
+      return (async function* scan() {
+        yield [...store.keys()].filter((key) => key.startsWith(prefix) && live(key));
+      })();
+    },
+  };
+
+  return redis;
+}
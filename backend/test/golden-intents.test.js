@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { classifyIntent } from '../src/services/intent-classifier.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CORPUS_FILE = resolve(__dirname, '..', '..', 'data', 'intents', 'golden-queries.json');
+
+// Same corpus as scripts/check-intents.js — that script prints a readable diff for review
+const corpus = JSON.parse(readFileSync(CORPUS_FILE, 'utf-8'));
+
+describe('classifyIntent golden corpus', () => {
+  it.each(corpus.queries.map(({ query, expected }) => [query, expected]))('%s', (query, expected) => {
+    expect(classifyIntent(query)).toStrictEqual(expected);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { compileMerchandisingRules, resolveMerchandising } from '../src/services/merchandising.js';
+
+const NOW = new Date('2026-06-15T12:00:00Z');
+
+const rule = (id, fields) => ({
+  id,
+  conditions: [{ type: 'prefix', value: 'canon' }],
+  actions: [{ type: 'banner', title: id }],
+  ...fields,
+});
+
+const resolve = (rules, query = 'canon eos r6', { now = NOW, intent = null } = {}) => (
+  resolveMerchandising(query, intent, { rules: compileMerchandisingRules({ rules }), now })
+);
+
+describe('resolveMerchandising conditions', () => {
+  it('matches prefix and contains on whole words only', () => {
+    const rules = [
+      rule('prefix', { conditions: [{ type: 'prefix', value: 'canon eos r5' }] }),
+      rule('contains', { conditions: [{ type: 'contains', value: 'eos' }] }),
+    ];
+    expect(resolve(rules, 'canon eos r5 body').rules).toEqual(['prefix', 'contains']);
+    expect(resolve(rules, 'Canon  EOS R50').rules).toEqual(['contains']);
+    expect(resolve(rules, 'canon eosr').rules).toEqual([]);
+  });
+
+  it('requires every condition, including the intent type', () => {
+    const rules = [rule('brand-only', { conditions: [{ type: 'prefix', value: 'canon' }, { type: 'intent', value: 'BRAND' }] })];
+    expect(resolve(rules, 'canon', { intent: { type: 'BRAND' } }).rules).toEqual(['brand-only']);
+    expect(resolve(rules, 'canon eos r6', { intent: { type: 'MODEL' } }).rules).toEqual([]);
+  });
+});
+
+describe('resolveMerchandising validity windows', () => {
+  it('applies from start (inclusive) until end (exclusive)', () => {
+    const rules = [rule('sale', { start: '2026-06-15T12:00:00Z', end: '2026-06-16T00:00:00Z' })];
+    expect(resolve(rules, 'canon', { now: new Date('2026-06-15T12:00:00Z') }).rules).toEqual(['sale']);
+    expect(resolve(rules, 'canon', { now: new Date('2026-06-15T11:59:59Z') }).rules).toEqual([]);
+    expect(resolve(rules, 'canon', { now: new Date('2026-06-16T00:00:00Z') }).rules).toEqual([]);
+  });
+
+  it('skips disabled rules', () => {
+    expect(resolve([rule('off', { enabled: false })]).rules).toEqual([]);
+  });
+});
+
+describe('resolveMerchandising conflict resolution', () => {
+  it('walks rules by priority, ties in file order', () => {
+    const rules = [rule('low', { priority: 1 }), rule('first-tie'), rule('high', { priority: 10 }), rule('second-tie')];
+    expect(resolve(rules).rules).toEqual(['high', 'low', 'first-tie', 'second-tie']);
+  });
+
+  it('lets the first matching rule set the redirect and the banner', () => {
+    const rules = [
+      rule('low', { actions: [{ type: 'redirect', url: '/low' }, { type: 'banner', title: 'low' }] }),
+      rule('high', { priority: 5, actions: [{ type: 'redirect', url: '/high' }] }),
+    ];
+    const plan = resolve(rules);
+    expect(plan.redirect).toEqual({ url: '/high', rule: 'high' });
+    expect(plan.banner).toMatchObject({ title: 'low', rule: 'low' });
+  });
+
+  it('keeps the first boost on a field and value and stacks different targets', () => {
+    const rules = [
+      rule('high', { priority: 5, actions: [{ type: 'boost', field: 'brand', value: ['Canon', 'Sigma'], factor: 3 }] }),
+      rule('same-target', { actions: [{ type: 'bury', field: 'brand', value: ['Sigma', 'Canon'] }] }),
+      rule('other-target', { actions: [{ type: 'bury', field: 'condition', value: 'used' }] }),
+    ];
+    expect(resolve(rules).boosts).toEqual([
+      { rule: 'high', field: 'brand', values: ['Canon', 'Sigma'], factor: 3 },
+      { rule: 'other-target', field: 'condition', values: ['used'], factor: 0.2 },
+    ]);
+  });
+
+  it('lets the first rule decide between pin and blacklist of one product', () => {
+    const rules = [
+      rule('pin', { priority: 5, actions: [{ type: 'pin', products: ['p1'] }] }),
+      rule('blacklist', { actions: [{ type: 'blacklist', products: ['p1', 'p2'] }] }),
+    ];
+    const plan = resolve(rules);
+    expect(plan.pinned).toEqual([{ id: 'p1', position: 1 }]);
+    expect(plan.blacklisted).toEqual(['p2']);
+  });
+
+  it('moves a later pin claiming a taken slot to the next free one', () => {
+    const rules = [
+      rule('high', { priority: 5, actions: [{ type: 'pin', products: ['p1', 'p2'], position: 2 }] }),
+      rule('low', { actions: [{ type: 'pin', products: ['p3'], position: 2 }, { type: 'pin', products: ['p4'] }] }),
+    ];
+    expect(resolve(rules).pinned).toEqual([
+      { id: 'p4', position: 1 },
+      { id: 'p1', position: 2 },
+      { id: 'p2', position: 3 },
+      { id: 'p3', position: 4 },
+    ]);
+  });
+
+  it('skips lower-priority rules after a stop rule', () => {
+    const rules = [rule('stop', { priority: 5, stop: true }), rule('skipped')];
+    expect(resolve(rules).rules).toEqual(['stop']);
+  });
+});
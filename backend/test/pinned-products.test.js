@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { pinnedPageWindow, insertPinnedProducts } from '../src/services/merchandising.js';
+
+const pin = (id, position) => ({ id, position, product: { id, is_pinned: true } });
+
+/**
+ * Page through organic results o1..oN with pins the way the search route does:
+ * fetch the organic window, then merge the pins. Returns the ids of each page.
+ */
+function pages(pins, organicTotal, size, count) {
+  const organic = Array.from({ length: organicTotal }, (_, i) => ({ id: `o${i + 1}` }));
+  const result = [];
+  for (let page = 1; page <= count; page++) {
+    const from = (page - 1) * size;
+    const window = pinnedPageWindow(pins, from, size);
+    const products = organic.slice(window.from, window.from + window.size);
+    result.push(insertPinnedProducts(products, pins, { from, size, organicTotal }).map((p) => p.id));
+  }
+  return result;
+}
+
+describe('pinnedPageWindow', () => {
+  it('shifts organic results back by the pins before the page and shrinks it by the pins on it', () => {
+    const pins = [pin('a', 1), pin('b', 7)];
+    expect(pinnedPageWindow(pins, 0, 5)).toEqual({ from: 0, size: 4 });
+    expect(pinnedPageWindow(pins, 5, 5)).toEqual({ from: 4, size: 4 });
+    expect(pinnedPageWindow(pins, 10, 5)).toEqual({ from: 8, size: 5 });
+  });
+});
+
+describe('insertPinnedProducts', () => {
+  it('places pins in their slots without repeating or skipping organic results across pages', () => {
+    expect(pages([pin('a', 1), pin('b', 7)], 10, 5, 3)).toEqual([
+      ['a', 'o1', 'o2', 'o3', 'o4'],
+      ['o5', 'b', 'o6', 'o7', 'o8'],
+      ['o9', 'o10'],
+    ]);
+  });
+
+  it('fills a page made entirely of pins and continues with organic results', () => {
+    const pins = ['a', 'b', 'c'].map((id, i) => pin(id, i + 1));
+    expect(pages(pins, 4, 3, 3)).toEqual([
+      ['a', 'b', 'c'],
+      ['o1', 'o2', 'o3'],
+      ['o4'],
+    ]);
+  });
+
+  it('moves pins past the end of a short list right after its last result, once', () => {
+    expect(pages([pin('a', 2), pin('b', 20)], 3, 5, 2)).toEqual([
+      ['o1', 'a', 'o2', 'o3', 'b'],
+      [],
+    ]);
+    expect(pages([pin('a', 20)], 7, 5, 3)).toEqual([
+      ['o1', 'o2', 'o3', 'o4', 'o5'],
+      ['o6', 'o7', 'a'],
+      [],
+    ]);
+  });
+
+  it('shows only pins when there are no organic results', () => {
+    expect(pages([pin('a', 3), pin('b', 5)], 0, 5, 1)).toEqual([['a', 'b']]);
+  });
+
+  it('returns the organic page unchanged when no pin falls on it', () => {
+    const products = [{ id: 'o6' }];
+    expect(insertPinnedProducts(products, [pin('a', 1)], { from: 5, size: 5, organicTotal: 6 })).toBe(products);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { extractPriceRange } from '../src/services/intent-classifier.js';
+
+const bounds = (query) => {
+  const { minPrice, maxPrice } = extractPriceRange(query);
+  return [minPrice, maxPrice];
+};
+
+describe('extractPriceRange', () => {
+  it('parses both ends of a range with their own units', () => {
+    expect(bounds('aparat od 500 zł do 2 tys')).toEqual([500, 2000]);
+    expect(bounds('od 2000 do 5000 zł')).toEqual([2000, 5000]);
+    expect(bounds('2000-5000 zł')).toEqual([2000, 5000]);
+  });
+
+  it('lends the upper multiplier to a bare lower amount only when it stays below the upper end', () => {
+    expect(bounds('od 2 do 5 tys')).toEqual([2000, 5000]);
+    expect(bounds('aparat 2-3 tys')).toEqual([2000, 3000]);
+    expect(bounds('obiektyw 1500-3 tys')).toEqual([1500, 3000]);
+  });
+
+  it('lends the upper currency to a bare lower amount', () => {
+    expect(bounds('statyw od 50 do 300 zł')).toEqual([50, 300]);
+  });
+
+  it('removes the price phrase from the query', () => {
+    expect(extractPriceRange('aparat od 500 zł do 2 tys').query).toBe('aparat');
+  });
+});
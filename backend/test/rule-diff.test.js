@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { diffRules, compileRuleQueryMatcher } from '../src/services/merchandising.js';
+
+const rule = (id, value, actions = [{ type: 'pin', products: ['p1'] }]) => ({
+  id, conditions: [{ type: 'prefix', value }], actions,
+});
+
+describe('diffRules', () => {
+  it('returns added, removed and both forms of edited rules', () => {
+    const kept = rule('kept', 'sony');
+    const before = [kept, rule('edited', 'canon'), rule('removed', 'nikon')];
+    const after = [kept, rule('edited', 'canon eos'), rule('added', 'dji')];
+    expect(diffRules(before, after).map((r) => `${r.id}:${r.conditions[0].value}`)).toEqual([
+      'edited:canon', 'removed:nikon', 'edited:canon eos', 'added:dji',
+    ]);
+  });
+
+  it('returns nothing for identical rule lists', () => {
+    expect(diffRules([rule('a', 'sony')], [rule('a', 'sony')])).toEqual([]);
+  });
+});
+
+describe('compileRuleQueryMatcher', () => {
+  it('matches cached queries against any of the rules, ignoring enabled and windows', () => {
+    const matches = compileRuleQueryMatcher([
+      { ...rule('off', 'canon'), enabled: false, end: '2000-01-01T00:00:00Z' },
+      { id: 'brand', conditions: [{ type: 'intent', value: 'BRAND' }], actions: [] },
+    ]);
+    expect(matches('canon eos r6')).toBe(true);
+    expect(matches('sony')).toBe(true);
+    expect(matches('statyw karbonowy')).toBe(false);
+  });
+});
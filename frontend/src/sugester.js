@@ -286,6 +286,13 @@ export class SugesterWidget {
     this._closeMobileOverlay();
     this.recentSearches.add(q);
 
+    // Merchandising redirect rule for this query (e.g. "black friday" → landing page)
+    const redirect = this.lastResults?.query === q ? this.lastResults.redirect : null;
+    if (redirect?.url) {
+      window.location.assign(redirect.url);
+      return;
+    }
+
     const resultsCount = this.lastResults?.products?.length || 0;
     this.analytics.trackSearchPerformed(q, resultsCount);
 
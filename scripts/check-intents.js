@@ -0,0 +1,143 @@
+/**
+ * Golden corpus check for the intent classifier (no Elasticsearch needed).
+ *
+ * Runs every query in data/intents/golden-queries.json through classifyIntent()
+ * and diffs the result against the stored expected intent object. Prints which
+ * queries changed intent (and which fields changed) and exits with code 1 on any
+ * difference, so a new brand or category word can't silently reroute other queries.
+ *
+ * Options:
+ *   --corpus <path>        Corpus file (default data/intents/golden-queries.json)
+ *   --update               Accept current classifier output as the new expected values
+ *                          (also fills in entries added with only a "query") — review the
+ *                          diff: expected values are what the classifier should return
+ *
+ * Examples:
+ *   node scripts/check-intents.js
+ *   node scripts/check-intents.js --update
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { isDeepStrictEqual } from 'util';
+import { classifyIntent } from '../backend/src/services/intent-classifier.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// ---------- CLI args ----------
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    corpus: resolve(__dirname, '..', 'data', 'intents', 'golden-queries.json'),
+    update: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--corpus':
+        opts.corpus = resolve(args[++i]);
+        break;
+      case '--update':
+        opts.update = true;
+        break;
+      default:
+        console.error(`Unknown option: ${args[i]}`);
+        process.exit(1);
+    }
+  }
+
+  return opts;
+}
+
+// ---------- Diff ----------
+
+/**
+ * Field-level diff of two intent objects (top-level keys; nested values compared whole).
+ */
+function diffIntent(expected, actual) {
+  const changes = [];
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  for (const key of keys) {
+    if (!isDeepStrictEqual(expected[key], actual[key])) {
+      changes.push({ key, expected: expected[key], actual: actual[key] });
+    }
+  }
+  return changes;
+}
+
+const show = (value) => (value === undefined ? '(missing)' : JSON.stringify(value));
+
+// ---------- Main ----------
+
+function main() {
+  const opts = parseArgs();
+  const corpus = JSON.parse(readFileSync(opts.corpus, 'utf-8'));
+
+  const changed = [];
+  const added = [];
+  const transitions = new Map();
+
+  for (const entry of corpus.queries) {
+    // Round-trip through JSON so `undefined` fields compare like the stored corpus
+    const actual = JSON.parse(JSON.stringify(classifyIntent(entry.query)));
+
+    if (!entry.expected) {
+      added.push({ entry, actual });
+      continue;
+    }
+
+    const changes = diffIntent(entry.expected, actual);
+    if (changes.length > 0) {
+      changed.push({ entry, actual, changes });
+      if (entry.expected.type !== actual.type) {
+        const key = `${entry.expected.type} → ${actual.type}`;
+        transitions.set(key, (transitions.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  console.log(`Checked ${corpus.queries.length} queries from ${opts.corpus}`);
+  console.log('='.repeat(60));
+
+  for (const { entry, actual, changes } of changed) {
+    const typeLabel = entry.expected.type === actual.type
+      ? actual.type
+      : `${entry.expected.type} → ${actual.type}`;
+    console.log(`✗ "${entry.query}" [${typeLabel}]`);
+    for (const change of changes) {
+      console.log(`    ${change.key}: ${show(change.expected)} → ${show(change.actual)}`);
+    }
+  }
+  for (const { entry, actual } of added) {
+    console.log(`+ "${entry.query}" [${actual.type}] (no expected intent yet)`);
+  }
+
+  if (transitions.size > 0) {
+    console.log('-'.repeat(60));
+    console.log('Intent type changes:');
+    for (const [transition, count] of transitions) {
+      console.log(`  ${transition}: ${count}`);
+    }
+  }
+
+  console.log('='.repeat(60));
+  const unchanged = corpus.queries.length - changed.length - added.length;
+  console.log(`Results: ${unchanged} unchanged, ${changed.length} changed, ${added.length} new`);
+
+  if (opts.update) {
+    for (const { entry, actual } of [...changed, ...added]) {
+      entry.expected = actual;
+    }
+    writeFileSync(opts.corpus, JSON.stringify(corpus, null, 2) + '\n', 'utf-8');
+    console.log(`Corpus updated: ${opts.corpus}`);
+    return;
+  }
+
+  if (changed.length > 0 || added.length > 0) {
+    process.exit(1);
+  }
+}
+
+main();
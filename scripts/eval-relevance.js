@@ -0,0 +1,288 @@
+/**
+ * Offline relevance evaluation against judgment lists.
+ *
+ * Runs every judged query through the production search pipeline
+ * (classifyIntent → buildSearchQuery → wrapWithFunctionScore) against a local ES
+ * index seeded from data/mock/products-photo.json, and reports NDCG@10, MRR and
+ * precision@10 per query, per intent type and overall. Exits with code 1 when any
+ * metric drops below the stored baseline, when the baseline is missing, or when a
+ * judged query has no baseline row. A baseline not written by --update-baseline
+ * (no generated_at) or with every row at zero is refused — nothing can drop below
+ * it — and --update-baseline won't write one from an empty or unseeded index.
+ *
+ * Options:
+ *   --judgments <path>     Judgment file (default data/relevance/judgments.json)
+ *   --baseline <path>      Baseline file (default data/relevance/baseline.json)
+ *   --update-baseline      Write the current metrics as the new baseline
+ *   --ranking <path>       JSON file with ranking weight overrides (see DEFAULT_RANKING_CONFIG)
+ *   --tolerance <n>        Allowed drop below baseline per metric (default 0.001)
+ *
+ * Setup (once):
+ *   npm run index:create && npm run data:import
+ *
+ * Examples:
+ *   node scripts/eval-relevance.js
+ *   node scripts/eval-relevance.js --ranking tmp/ranking-candidate.json
+ *   node scripts/eval-relevance.js --update-baseline
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createEsClient } from './es-client.js';
+import { classifyIntent } from '../backend/src/services/intent-classifier.js';
+import { buildSearchQuery, applyIntentPriceFilters } from '../backend/src/services/query-builder.js';
+import { wrapWithFunctionScore, resolveRankingConfig } from '../backend/src/services/ranking.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = resolve(__dirname, '..');
+
+const INDEX_NAME = process.env.INDEX_NAME || 'products';
+const K = 10;
+// Grades at or above this count as "relevant" for MRR and precision
+const RELEVANT_GRADE = 2;
+const METRICS = ['ndcg', 'mrr', 'precision'];
+
+const client = createEsClient();
+
+// ---------- CLI args ----------
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    judgments: resolve(ROOT, 'data', 'relevance', 'judgments.json'),
+    baseline: resolve(ROOT, 'data', 'relevance', 'baseline.json'),
+    updateBaseline: false,
+    ranking: null,
+    tolerance: 0.001,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--judgments':
+        opts.judgments = resolve(args[++i]);
+        break;
+      case '--baseline':
+        opts.baseline = resolve(args[++i]);
+        break;
+      case '--update-baseline':
+        opts.updateBaseline = true;
+        break;
+      case '--ranking':
+        opts.ranking = resolve(args[++i]);
+        break;
+      case '--tolerance':
+        opts.tolerance = parseFloat(args[++i]);
+        break;
+      default:
+        console.error(`Unknown option: ${args[i]}`);
+        process.exit(1);
+    }
+  }
+
+  return opts;
+}
+
+// ---------- Metrics ----------
+
+/**
+ * NDCG@k with exponential gain (2^grade - 1). The ideal ranking is built from
+ * all judged grades, so relevant products missing from the top k are penalised.
+ */
+function ndcgAtK(rankedIds, judgments, k = K) {
+  const dcg = (grades) => grades
+    .slice(0, k)
+    .reduce((sum, grade, i) => sum + (2 ** grade - 1) / Math.log2(i + 2), 0);
+
+  const ideal = dcg(Object.values(judgments).sort((a, b) => b - a));
+  if (ideal === 0) return 0;
+  return dcg(rankedIds.map((id) => judgments[id] || 0)) / ideal;
+}
+
+function reciprocalRank(rankedIds, judgments) {
+  const index = rankedIds.findIndex((id) => (judgments[id] || 0) >= RELEVANT_GRADE);
+  return index === -1 ? 0 : 1 / (index + 1);
+}
+
+function precisionAtK(rankedIds, judgments, k = K) {
+  const relevant = rankedIds.slice(0, k).filter((id) => (judgments[id] || 0) >= RELEVANT_GRADE).length;
+  return relevant / k;
+}
+
+function average(rows) {
+  const result = {};
+  for (const metric of METRICS) {
+    result[metric] = rows.length > 0
+      ? rows.reduce((sum, row) => sum + row[metric], 0) / rows.length
+      : 0;
+  }
+  result.queries = rows.length;
+  return result;
+}
+
+function round(metrics) {
+  const result = { ...metrics };
+  for (const metric of METRICS) {
+    result[metric] = Math.round(metrics[metric] * 10000) / 10000;
+  }
+  return result;
+}
+
+// ---------- Search ----------
+
+/**
+ * Same pipeline as GET /api/search (relevance sort, first page, no facets).
+ */
+async function runQuery(query, rankingConfig) {
+  const intent = classifyIntent(query);
+  const filters = applyIntentPriceFilters({}, intent);
+
+  const body = buildSearchQuery(query, intent, { filters, page: 1, perPage: K, facets: [] });
+  body.query = wrapWithFunctionScore(body.query, intent, rankingConfig);
+  body._source = ['id'];
+
+  const result = await client.search({ index: INDEX_NAME, body });
+  return {
+    intent: intent.type,
+    ids: result.hits.hits.map((hit) => hit._source?.id ?? hit._id),
+  };
+}
+
+// ---------- Baseline ----------
+
+/**
+ * Why a baseline can't be checked against, or null when it can.
+ */
+function baselineProblem(baseline) {
+  if (!baseline.generated_at) {
+    return 'it has no generated_at — only --update-baseline output is a baseline';
+  }
+  const rows = Object.values(baseline.queries || {});
+  if (rows.length === 0) return 'it has no query rows';
+  if (rows.every((row) => METRICS.every((metric) => !row[metric]))) {
+    return 'every query row is zero — no metric can drop below it';
+  }
+  return null;
+}
+
+/**
+ * List every metric that dropped more than `tolerance` below the baseline.
+ * A judged query or intent type without a baseline row is a regression too —
+ * otherwise new queries (or queries that changed intent) would never be checked.
+ */
+function findRegressions(report, baseline, tolerance) {
+  const regressions = [];
+  const compare = (label, current, stored) => {
+    if (!stored) {
+      regressions.push(`${label}: no baseline row (run with --update-baseline)`);
+      return;
+    }
+    for (const metric of METRICS) {
+      if (current[metric] < stored[metric] - tolerance) {
+        regressions.push(`${label} ${metric}: ${current[metric].toFixed(4)} < baseline ${stored[metric].toFixed(4)}`);
+      }
+    }
+  };
+
+  compare('overall', report.overall, baseline.overall);
+  for (const [intent, metrics] of Object.entries(report.intents)) {
+    compare(`intent ${intent}`, metrics, baseline.intents?.[intent]);
+  }
+  for (const [query, metrics] of Object.entries(report.queries)) {
+    compare(`query "${query}"`, metrics, baseline.queries?.[query]);
+  }
+  return regressions;
+}
+
+// ---------- Main ----------
+
+async function main() {
+  const opts = parseArgs();
+  const { queries } = JSON.parse(readFileSync(opts.judgments, 'utf-8'));
+  const rankingConfig = resolveRankingConfig(
+    opts.ranking ? JSON.parse(readFileSync(opts.ranking, 'utf-8')) : {}
+  );
+
+  let baseline = null;
+  if (!opts.updateBaseline) {
+    if (!existsSync(opts.baseline)) {
+      console.log(`No baseline found at ${opts.baseline} — run with --update-baseline to store one.`);
+      process.exit(1);
+    }
+    baseline = JSON.parse(readFileSync(opts.baseline, 'utf-8'));
+    const problem = baselineProblem(baseline);
+    if (problem) {
+      console.log(`Refusing baseline ${opts.baseline}: ${problem}. Regenerate it with --update-baseline.`);
+      process.exit(1);
+    }
+  }
+
+  const { count } = await client.count({ index: INDEX_NAME });
+  if (count === 0) {
+    console.log(`Index "${INDEX_NAME}" is empty — seed it first (see Setup above).`);
+    process.exit(1);
+  }
+  console.log(`Evaluating ${queries.length} queries on index "${INDEX_NAME}" (${count} docs)`);
+  if (opts.ranking) console.log(`Ranking overrides: ${opts.ranking}`);
+  console.log('='.repeat(72));
+
+  const report = { k: K, index: INDEX_NAME, generated_at: new Date().toISOString(), queries: {}, intents: {} };
+  const rows = [];
+
+  for (const { query, judgments } of queries) {
+    const { intent, ids } = await runQuery(query, rankingConfig);
+    const row = round({
+      intent,
+      ndcg: ndcgAtK(ids, judgments),
+      mrr: reciprocalRank(ids, judgments),
+      precision: precisionAtK(ids, judgments),
+    });
+    rows.push(row);
+    report.queries[query] = row;
+    console.log(
+      `${query.padEnd(32)} ${intent.padEnd(11)} ndcg@${K} ${row.ndcg.toFixed(3)}  mrr ${row.mrr.toFixed(3)}  p@${K} ${row.precision.toFixed(3)}`
+    );
+  }
+
+  console.log('-'.repeat(72));
+  const intentTypes = [...new Set(rows.map((row) => row.intent))].sort();
+  for (const intent of intentTypes) {
+    const metrics = round(average(rows.filter((row) => row.intent === intent)));
+    report.intents[intent] = metrics;
+    console.log(
+      `${`[${intent}] (${metrics.queries})`.padEnd(44)} ndcg@${K} ${metrics.ndcg.toFixed(3)}  mrr ${metrics.mrr.toFixed(3)}  p@${K} ${metrics.precision.toFixed(3)}`
+    );
+  }
+  report.overall = round(average(rows));
+  console.log(
+    `${'OVERALL'.padEnd(44)} ndcg@${K} ${report.overall.ndcg.toFixed(3)}  mrr ${report.overall.mrr.toFixed(3)}  p@${K} ${report.overall.precision.toFixed(3)}`
+  );
+  console.log('='.repeat(72));
+
+  if (opts.updateBaseline) {
+    const problem = baselineProblem(report);
+    if (problem) {
+      console.log(`Not writing baseline: ${problem}. Is the index seeded from data/mock/products-photo.json?`);
+      process.exit(1);
+    }
+    writeFileSync(opts.baseline, JSON.stringify(report, null, 2) + '\n', 'utf-8');
+    console.log(`Baseline written to: ${opts.baseline}`);
+    return;
+  }
+
+  const regressions = findRegressions(report, baseline, opts.tolerance);
+  if (regressions.length > 0) {
+    console.log(`${regressions.length} regression(s) against baseline:`);
+    for (const regression of regressions) console.log(`  ✗ ${regression}`);
+    process.exit(1);
+  }
+  console.log('✓ No metric below baseline');
+}
+
+main().catch((err) => {
+  console.error('Relevance evaluation failed:', err.message);
+  if (err.meta?.body?.error) {
+    console.error(JSON.stringify(err.meta.body.error, null, 2));
+  }
+  process.exit(1);
+});
@@ -2,24 +2,30 @@
  * Feed Auto-Update Scheduler
  *
  * Downloads the Cyfrowe.pl product feed and reimports into Elasticsearch
- * every 12 hours, then optionally enriches with GA4 analytics data.
+ * every 12 hours, syncs the classifier brand dictionary with the new index
+ * contents, then optionally enriches with GA4 analytics data.
  *
  * Usage:
  *   node scripts/feed-scheduler.js                # default: every 12h
  *   node scripts/feed-scheduler.js --interval 6   # every 6 hours
  *   node scripts/feed-scheduler.js --once          # run once and exit
  *   node scripts/feed-scheduler.js --skip-ga4      # skip GA4 sync step
+ *   node scripts/feed-scheduler.js --skip-brand-sync  # skip brand dictionary sync
  *
  * GA4 sync requires:
  *   - GA4_PROPERTY_ID environment variable
  *   - GOOGLE_APPLICATION_CREDENTIALS or GA4_KEY_FILE environment variable
  *   If not set, GA4 step is skipped with a warning.
  *
+ * Brand sync reloads the running backend's classifier and the final step flushes
+ * its cache, both via BACKEND_URL (default http://localhost:3000), sending
+ * ADMIN_TOKEN as X-Admin-Token if set.
+ *
  * Can also be triggered via:
  *   - Docker: add to docker-compose as a service
  *   - systemd / pm2: run as a daemon
  *   - Windows Task Scheduler: use --once flag
- *   - cron: 0 */12 * * * cd /path/to/sugester && node scripts/feed-scheduler.js --once
+ *   - cron: 0 0,12 * * * cd /path/to/sugester && node scripts/feed-scheduler.js --once
  */
 
 import { execFile } from 'child_process';
@@ -42,6 +48,7 @@ const args = process.argv.slice(2);
 let intervalHours = 12;
 let runOnce = false;
 let skipGA4 = false;
+let skipBrandSync = false;
 
 for (let i = 0; i < args.length; i++) {
   if (args[i] === '--interval' && args[i + 1]) {
@@ -53,6 +60,9 @@ for (let i = 0; i < args.length; i++) {
   if (args[i] === '--skip-ga4') {
     skipGA4 = true;
   }
+  if (args[i] === '--skip-brand-sync') {
+    skipBrandSync = true;
+  }
 }
 
 const intervalMs = intervalHours * 60 * 60 * 1000;
@@ -121,21 +131,42 @@ function runGA4Sync() {
     });
 }
 
+async function runBrandSync() {
+  log('Starting brand dictionary sync...');
+  try {
+    await runScript('scripts/sync-brands.js', [], 2);
+    log('Brand sync completed successfully');
+  } catch (err) {
+    // Brand sync failure is non-fatal — the previous dictionary stays active
+    log(`Brand sync warning: ${err.message} (non-fatal, continuing)`);
+    return;
+  }
+
+  // The backend keeps dictionaries in memory — ask it to reload the updated file
+  const backendUrl = process.env.BACKEND_URL || 'http://localhost:3000';
+  try {
+    const res = await fetch(`${backendUrl}/api/admin/classifier/reload`, {
+      method: 'POST',
+      headers: process.env.ADMIN_TOKEN ? { 'x-admin-token': process.env.ADMIN_TOKEN } : {},
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    log('Backend classifier dictionaries reloaded');
+  } catch (err) {
+    log(`Classifier reload warning: ${err.message} (non-fatal, picked up on next restart)`);
+  }
+}
+
 async function flushRedisCache() {
+  // The backend owns the cache layout (ac:/sr: keys + tag sets) and flushes with SCAN
+  const backendUrl = process.env.BACKEND_URL || 'http://localhost:3000';
   try {
-    const { createClient } = await import('redis');
-    const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
-    const redis = createClient({ url: redisUrl });
-    await redis.connect();
-    // Flush only sugester keys, not entire Redis
-    const keys = await redis.keys('sugester:*');
-    if (keys.length > 0) {
-      await redis.del(keys);
-      log(`Flushed ${keys.length} Redis cache keys`);
-    } else {
-      log(`No Redis cache keys to flush`);
-    }
-    await redis.quit();
+    const res = await fetch(`${backendUrl}/api/admin/cache/flush`, {
+      method: 'POST',
+      headers: process.env.ADMIN_TOKEN ? { 'x-admin-token': process.env.ADMIN_TOKEN } : {},
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { cacheEntriesFlushed } = await res.json();
+    log(`Flushed ${cacheEntriesFlushed} Redis cache keys`);
   } catch (err) {
     log(`Redis flush warning: ${err.message} (non-fatal)`);
   }
@@ -149,14 +180,21 @@ async function updateCycle() {
     // Step 1: Import product feed
     await runImport();
 
-    // Step 2: Enrich with GA4 analytics (if configured)
+    // Step 2: Sync classifier brand dictionary with the freshly imported brands
+    if (!skipBrandSync) {
+      await runBrandSync();
+    } else {
+      log('Brand sync skipped (--skip-brand-sync flag)');
+    }
+
+    // Step 3: Enrich with GA4 analytics (if configured)
     if (!skipGA4) {
       await runGA4Sync();
     } else {
       log('GA4 sync skipped (--skip-ga4 flag)');
     }
 
-    // Step 3: Flush Redis cache so new data is served immediately
+    // Step 4: Flush Redis cache so new data is served immediately
     await flushRedisCache();
 
     const elapsed = ((Date.now() - start) / 1000).toFixed(1);
@@ -168,7 +206,7 @@ async function updateCycle() {
 }
 
 async function main() {
-  log(`Feed Scheduler starting (interval: ${intervalHours}h, once: ${runOnce}, skipGA4: ${skipGA4})`);
+  log(`Feed Scheduler starting (interval: ${intervalHours}h, once: ${runOnce}, skipGA4: ${skipGA4}, skipBrandSync: ${skipBrandSync})`);
 
   // Run immediately
   await updateCycle();
@@ -6,6 +6,7 @@
  *   --url <url>            Remote JSON feed URL (downloads first)
  *   --cyfrowe              Use the default Cyfrowe.pl feed URL
  *   --batch-size <n>       Bulk batch size (default 500)
+ *   --mount-report <path>  Write unrecognized mount values (value → product count/examples) as JSON
  *
  * Examples:
  *   node scripts/import-feed.js --cyfrowe
@@ -19,6 +20,10 @@ import { fileURLToPath } from 'url';
 import https from 'https';
 import http from 'http';
 import { createEsClient } from './es-client.js';
+import { toCanonicalUnit, parseDecimal } from '../backend/src/utils/units.js';
+import { extractCompatibility } from '../backend/src/services/compatibility.js';
+import { normalizeMount, extractMounts } from '../backend/src/services/classifier-config.js';
+import { SUPPORT_CONTEXT } from '../backend/src/services/param-extractor.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -47,6 +52,9 @@ function parseArgs() {
       case '--batch-size':
         opts.batchSize = parseInt(args[++i], 10);
         break;
+      case '--mount-report':
+        opts.mountReport = resolve(args[++i]);
+        break;
     }
   }
 
@@ -90,20 +98,36 @@ function downloadJSON(url) {
 // ---------- Parameter extraction ----------
 
 const PARAM_PATTERNS = {
-  aperture: /f\/(\d+\.?\d*)/i,
+  // "f/2.8", "f/3.5-6.3" (zoom: widest aperture at the wide end, then at the long end)
+  aperture: /f\/(\d+(?:[.,]\d+)?)(?:\s*-\s*(\d+(?:[.,]\d+)?))?/i,
   focal_range: /(\d+)-(\d+)\s*mm/i,
   focal_fixed: /(\d+)\s*mm/i,
   megapixels: /(\d+\.?\d*)\s*(?:MP|Mpx|megapiksel)/i,
   video_resolution: /\b(4K|6K|8K|5\.3K|6\.2K)\b/i,
   video_fps: /(\d+)\s*fps/i,
+  storage: /\b(\d+(?:[.,]\d+)?)\s*(GB|TB)\b/i,
+  battery_mah: /\b(\d+(?:[.,]\d+)?)\s*mAh\b/i,
+  battery_wh: /\b(\d+(?:[.,]\d+)?)\s*Wh\b/i,
+  weight_kg: /\b(\d+(?:[.,]\d+)?)\s*kg\b/i,
+  // "60x90 cm", "60 x 90cm", "Ø90 cm", "90cm" — the largest dimension is the size
+  size_cm: /\b(\d+(?:[.,]\d+)?)(?:\s*x\s*(\d+(?:[.,]\d+)?))?\s*(cm|m)\b/i,
 };
 
-function extractParamsFromName(name) {
+/**
+ * Extract spec params from the product name (values in the canonical units of
+ * backend/src/utils/units.js). Params already present in the feed take precedence.
+ */
+function extractParamsFromName(name, existing = {}) {
   const params = {};
-  if (!name) return params;
+  if (!name) return { ...existing };
 
   const apertureMatch = name.match(PARAM_PATTERNS.aperture);
-  if (apertureMatch) params.aperture = apertureMatch[1];
+  if (apertureMatch) {
+    params.aperture = apertureMatch[1].replace(',', '.');
+    // Numeric f-numbers for "at least this bright" range filters
+    params.aperture_min = parseDecimal(apertureMatch[1]);
+    params.aperture_max = parseDecimal(apertureMatch[2] || apertureMatch[1]);
+  }
 
   const rangeMatch = name.match(PARAM_PATTERNS.focal_range);
   if (rangeMatch) {
@@ -130,7 +154,69 @@ function extractParamsFromName(name) {
   const fpsMatch = name.match(PARAM_PATTERNS.video_fps);
   if (fpsMatch) params.video_fps = parseInt(fpsMatch[1]);
 
-  return params;
+  const storageMatch = name.match(PARAM_PATTERNS.storage);
+  if (storageMatch) params.storage_gb = toCanonicalUnit(storageMatch[1], storageMatch[2]);
+
+  const mahMatch = name.match(PARAM_PATTERNS.battery_mah);
+  if (mahMatch) params.battery_mah = toCanonicalUnit(mahMatch[1], 'mah');
+
+  const whMatch = name.match(PARAM_PATTERNS.battery_wh);
+  if (whMatch) params.battery_wh = toCanonicalUnit(whMatch[1], 'wh');
+
+  const isSupport = SUPPORT_CONTEXT.test(name);
+  const kgMatch = name.match(PARAM_PATTERNS.weight_kg);
+  if (kgMatch && isSupport) params.max_load_kg = toCanonicalUnit(kgMatch[1], 'kg');
+
+  const sizeMatch = name.match(PARAM_PATTERNS.size_cm);
+  if (sizeMatch) {
+    const dimensions = [sizeMatch[1], sizeMatch[2]]
+      .filter(Boolean)
+      .map((value) => toCanonicalUnit(value, sizeMatch[3]));
+    if (isSupport) params.max_height_cm = Math.round(Math.max(...dimensions));
+    else if (sizeMatch[3].toLowerCase() === 'cm') params.size_cm = Math.max(...dimensions);
+  }
+
+  return { ...params, ...existing };
+}
+
+// ---------- Mount canonicalization ----------
+
+/**
+ * Canonicalize compatible_mounts and params.mount to the mount vocabulary in
+ * data/classifier/dictionaries.json ("FE", "E-mount" → "Sony E"). Products without
+ * mount data get mounts named in the product name ("Sigma 35mm Art Sony E").
+ * Unrecognized values are kept as-is and counted in `unrecognized` for the report.
+ */
+function canonicalizeMounts(product, unrecognized) {
+  const feedValues = [
+    ...(Array.isArray(product.compatible_mounts) ? product.compatible_mounts : [product.compatible_mounts]),
+    product.params?.mount,
+  ].filter((value) => typeof value === 'string' && value.trim() !== '');
+
+  const mounts = [];
+  const add = (mount) => {
+    if (!mounts.includes(mount)) mounts.push(mount);
+  };
+  for (const value of feedValues) {
+    const mount = normalizeMount(value);
+    if (mount) {
+      add(mount);
+      continue;
+    }
+    add(value.trim());
+    const entry = unrecognized.get(value.trim()) || { count: 0, examples: [] };
+    entry.count++;
+    if (entry.examples.length < 3) entry.examples.push(product.id || product.sku);
+    unrecognized.set(value.trim(), entry);
+  }
+  if (feedValues.length === 0) {
+    extractMounts(product.name).forEach(add);
+  }
+
+  product.compatible_mounts = mounts;
+  if (product.params?.mount) {
+    product.params.mount = normalizeMount(product.params.mount) || product.params.mount;
+  }
 }
 
 // ---------- Normalize Cyfrowe.pl feed product ----------
@@ -393,12 +479,35 @@ async function main() {
   const products = normalizeProducts(data);
   console.log(`Normalized ${products.length} products`);
 
+  // Compatibility graph edges: compatible_models / compatible_batteries (+ overrides)
+  const unrecognizedMounts = new Map();
+  for (const product of products) {
+    Object.assign(product, extractCompatibility(product));
+    canonicalizeMounts(product, unrecognizedMounts);
+  }
+
   // Log some stats
   const inStock = products.filter((p) => p.availability === 'in_stock').length;
   const promos = products.filter((p) => p.is_promo).length;
   const brands = new Set(products.map((p) => p.brand)).size;
   const cats = new Set(products.map((p) => p.category)).size;
+  const compatible = products.filter((p) => p.compatible_models.length > 0 || p.compatible_batteries.length > 0).length;
   console.log(`  In stock: ${inStock}, Promos: ${promos}, Brands: ${brands}, Categories: ${cats}`);
+  const withMounts = products.filter((p) => p.compatible_mounts.length > 0).length;
+  console.log(`  With compatibility data: ${compatible}, With mounts: ${withMounts}`);
+
+  if (unrecognizedMounts.size > 0) {
+    const sorted = [...unrecognizedMounts.entries()].sort((a, b) => b[1].count - a[1].count);
+    console.log(`  Unrecognized mount values (${sorted.length}) — add them as aliases in data/classifier/dictionaries.json:`);
+    for (const [value, { count, examples }] of sorted.slice(0, 20)) {
+      console.log(`    "${value}" ×${count} (e.g. ${examples.join(', ')})`);
+    }
+  }
+  if (opts.mountReport) {
+    const report = Object.fromEntries(unrecognizedMounts);
+    writeFileSync(opts.mountReport, JSON.stringify(report, null, 2) + '\n', 'utf-8');
+    console.log(`  Mount report written to: ${opts.mountReport}`);
+  }
 
   await importProducts(products, opts.batchSize);
 }
@@ -3,12 +3,17 @@
  * Usage: node scripts/incremental-update.js --file data/delta.json
  *
  * Delta file format: [{ "id": "prod_0001", "price": 12999, "availability": "in_stock" }, ...]
+ *
+ * Afterwards the running backend (BACKEND_URL, default http://localhost:3000, with
+ * ADMIN_TOKEN as X-Admin-Token if set) drops only the cached responses showing the
+ * updated products — plus those of a brand/category a delta moves a product into.
  */
 
 import { readFile } from 'fs/promises';
 import { createEsClient } from './es-client.js';
 
 const INDEX_NAME = process.env.INDEX_NAME || 'products';
+const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:3000';
 
 const client = createEsClient();
 
@@ -48,6 +53,37 @@ async function run() {
   if (failed.length > 0) {
     console.error('Failed updates:', failed.map((i) => ({ id: i.update._id, error: i.update.error.reason })));
   }
+
+  const failedIds = new Set(failed.map((i) => i.update._id));
+  await invalidateCache(updates.filter((doc) => !failedIds.has(doc.id)));
+}
+
+/**
+ * Ask the backend to invalidate cached responses tagged with the updated products.
+ * Non-fatal — stale entries expire with their TTL anyway.
+ */
+async function invalidateCache(updated) {
+  if (updated.length === 0) return;
+  const body = {
+    products: updated.map((doc) => doc.id),
+    brands: [...new Set(updated.map((doc) => doc.brand).filter(Boolean))],
+    categories: [...new Set(updated.map((doc) => doc.category).filter(Boolean))],
+  };
+  try {
+    const res = await fetch(`${BACKEND_URL}/api/admin/cache/invalidate`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        ...(process.env.ADMIN_TOKEN ? { 'x-admin-token': process.env.ADMIN_TOKEN } : {}),
+      },
+      body: JSON.stringify(body),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { cacheEntriesFlushed } = await res.json();
+    console.log(`Cache entries invalidated: ${cacheEntriesFlushed}`);
+  } catch (err) {
+    console.warn(`Cache invalidation warning: ${err.message} (entries expire with their TTL)`);
+  }
 }
 
 run().catch((err) => {
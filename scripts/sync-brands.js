@@ -0,0 +1,59 @@
+/**
+ * Sync the intent classifier brand dictionary with the product index.
+ *
+ * Reads every `brand` keyword value from the index, merges new brands into
+ * data/classifier/dictionaries.json, rebuilds brand casing from the stored values,
+ * and reports new, vanished and ambiguous brands. Run by feed-scheduler.js after import.
+ *
+ * Options:
+ *   --dry-run              Report only, don't update the dictionary file
+ *
+ * Examples:
+ *   node scripts/sync-brands.js
+ *   node scripts/sync-brands.js --dry-run
+ */
+
+import { createEsClient } from './es-client.js';
+import { syncBrandsFromIndex } from '../backend/src/services/classifier-config.js';
+
+const INDEX_NAME = process.env.INDEX_NAME || 'products';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const client = createEsClient();
+
+async function main() {
+  console.log(`Syncing brands from index "${INDEX_NAME}"${DRY_RUN ? ' (dry run)' : ''}...`);
+  const report = await syncBrandsFromIndex(client, INDEX_NAME, { write: !DRY_RUN });
+
+  console.log(`  Index brands: ${report.indexBrands}`);
+  console.log(`  New: ${report.new.length}`);
+  for (const { name, count } of report.new) {
+    console.log(`    + ${name} (${count} products)`);
+  }
+  console.log(`  Casing changes: ${report.caseChanges.length}`);
+  for (const { brand, from, to } of report.caseChanges) {
+    console.log(`    ~ ${brand}: ${from} → ${to}`);
+  }
+  console.log(`  Ambiguous (not added automatically): ${report.ambiguous.length}`);
+  for (const { name, count, reason, known } of report.ambiguous) {
+    console.log(`    ? ${name} (${count} products) — ${reason}${known ? ', already in dictionary' : ''}`);
+  }
+  console.log(`  Vanished (in dictionary, not in index): ${report.vanished.length}`);
+  if (report.vanished.length > 0) {
+    console.log(`    - ${report.vanished.join(', ')}`);
+  }
+
+  if (report.written) {
+    console.log(`Dictionary updated to version ${report.version}`);
+  } else {
+    console.log(DRY_RUN ? 'Dry run — dictionary not updated' : 'Dictionary already up to date');
+  }
+}
+
+main().catch((err) => {
+  console.error('Brand sync failed:', err.message);
+  if (err.meta?.body?.error) {
+    console.error(JSON.stringify(err.meta.body.error, null, 2));
+  }
+  process.exit(1);
+});